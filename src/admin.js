@@ -0,0 +1,105 @@
+/*
+  Admin API
+  ---------
+  Operator-only HTTP routes, mounted at /admin when ADMIN_TOKEN is set.
+  Every request needs "Authorization: Bearer <ADMIN_TOKEN>". Responses use the
+  same { ok, data } / { ok: false, code, message } shape as socket acks.
+
+    GET  /admin/rooms                 : every room with player / audience counts and current game
+    GET  /admin/rooms/:code           : roomState, hubState and each game's inspect();
+                                        add ?roles=1 to include secret info (Mafia roles)
+    POST /admin/rooms/:code/close     : close the room; clients get room:closed (reason ADMIN)
+    POST /admin/broadcast {message}   : server:notice { message, at } to every connected client
+*/
+
+'use strict';
+
+const crypto = require('crypto');
+const express = require('express');
+const { fail } = require('./protocol');
+
+function sameToken(given, expected) {
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * deps: { token, io, rooms, games, normalizeRoom, roomState, hubState, hostConnected, closeRoom }
+ */
+function createAdminRouter({ token, io, rooms, games, normalizeRoom, roomState, hubState, hostConnected, closeRoom }) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    const bearer = String(req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    if (!sameToken(bearer, token)) return res.status(401).json(fail('UNAUTHORIZED'));
+    next();
+  });
+  router.use(express.json({ limit: '16kb' }));
+
+  function findRoom(req, res) {
+    const code = normalizeRoom(req.params.roomCode);
+    const room = rooms.get(code);
+    if (!room) res.status(404).json(fail('ROOM_NOT_FOUND'));
+    return room;
+  }
+
+  router.get('/rooms', (_req, res) => {
+    const list = Array.from(rooms.values()).map((room) => {
+      const players = Array.from(room.players.values());
+      return {
+        roomCode: room.roomCode,
+        playerCount: players.length,
+        connectedCount: players.filter((p) => p.socketId).length,
+        audienceCount: Object.keys(room.audience || {}).length,
+        hostConnected: hostConnected(room),
+        currentGame: room.hub?.currentGame || null,
+        locked: !!room.locked,
+        createdAt: room.createdAt,
+        lastActivityAt: room.lastActivityAt,
+      };
+    });
+    res.json({ ok: true, data: list });
+  });
+
+  router.get('/rooms/:roomCode', (req, res) => {
+    const room = findRoom(req, res);
+    if (!room) return;
+
+    const secrets = req.query.roles === '1' || req.query.roles === 'true';
+    const gameStates = {};
+    for (const game of games.values()) {
+      if (room.games?.[game.id] && game.inspect) gameStates[game.id] = game.inspect(room, { secrets });
+    }
+
+    res.json({
+      ok: true,
+      data: {
+        roomState: roomState(room.roomCode),
+        hubState: hubState(room.roomCode),
+        games: gameStates,
+      },
+    });
+  });
+
+  router.post('/rooms/:roomCode/close', (req, res) => {
+    const room = findRoom(req, res);
+    if (!room) return;
+
+    closeRoom(room.roomCode, 'ADMIN');
+    res.json({ ok: true, data: { roomCode: room.roomCode } });
+  });
+
+  router.post('/broadcast', (req, res) => {
+    const message = String(req.body?.message || '').trim().slice(0, 500);
+    if (!message) return res.status(400).json(fail('MESSAGE_REQUIRED'));
+
+    const notice = { message, at: Date.now() };
+    io.emit('server:notice', notice);
+    res.json({ ok: true, data: { ...notice, rooms: rooms.size } });
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
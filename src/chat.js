@@ -0,0 +1,96 @@
+/*
+  Chat
+  ----
+  Room chat state and the text rules. index.js routes the chat:* events; the
+  active game decides who may post where (chatAccess, see games/index.js).
+
+    room     : everyone in the room reads; the game may close it (Mafia at night)
+    graveyard: eliminated players only; living players never receive it
+    host     : announcements only the host can post
+
+  room.chat: {
+    settings: { enabled, maxLength, blockedWords: string[] },
+    muted: clientId[],                                  // set by host:mute
+    messages: { room: [], graveyard: [], host: [] },   // last HISTORY of each, oldest first
+    seq: number,                                        // last message id
+  }
+
+  Blocked words are matched whole and case-insensitively and replaced by
+  asterisks; a message longer than maxLength is refused (MESSAGE_TOO_LONG).
+*/
+
+'use strict';
+
+const { fail } = require('./protocol');
+
+const CHANNELS = ['room', 'graveyard', 'host'];
+const HISTORY = 100;
+
+function parseWords(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw || '').split(',');
+  return Array.from(new Set(list.map((w) => String(w).trim().toLowerCase()).filter(Boolean)));
+}
+
+function ensureChat(room, defaults) {
+  if (!room.chat) room.chat = {};
+  const chat = room.chat;
+  if (!chat.settings) {
+    chat.settings = { enabled: true, maxLength: defaults.maxLength, blockedWords: parseWords(defaults.blockedWords) };
+  }
+  if (!chat.muted) chat.muted = [];
+  if (!chat.messages) chat.messages = {};
+  for (const ch of CHANNELS) if (!chat.messages[ch]) chat.messages[ch] = [];
+  if (!chat.seq) chat.seq = 0;
+  return chat;
+}
+
+// Host-supplied settings on top of `current`; null if anything is invalid.
+function safeChatSettings(x, current) {
+  const out = { ...current };
+  for (const [key, raw] of Object.entries(x)) {
+    if (key === 'enabled') {
+      if (typeof raw !== 'boolean') return null;
+      out.enabled = raw;
+    } else if (key === 'maxLength') {
+      if (!Number.isInteger(raw) || raw < 1 || raw > 1000) return null;
+      out.maxLength = raw;
+    } else if (key === 'blockedWords') {
+      if (!Array.isArray(raw) || raw.length > 200 || raw.some((w) => typeof w !== 'string' || w.length > 40)) return null;
+      out.blockedWords = parseWords(raw);
+    } else {
+      return null;
+    }
+  }
+  return out;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function maskWords(text, words) {
+  if (!words.length) return text;
+  const re = new RegExp(`(?<![\\p{L}\\p{N}])(?:${words.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  return text.replace(re, (w) => '*'.repeat(w.length));
+}
+
+// The text to store, or a fail() result.
+function cleanText(text, settings) {
+  const t = String(text || '').trim();
+  if (!t) return fail('EMPTY_MESSAGE');
+  if (t.length > settings.maxLength) return fail('MESSAGE_TOO_LONG', { maxLength: settings.maxLength });
+  return maskWords(t, settings.blockedWords);
+}
+
+function addMessage(room, channel, { clientId, name, text }) {
+  const chat = room.chat;
+  chat.seq += 1;
+  const message = { id: chat.seq, clientId, name, text, at: Date.now() };
+
+  const list = chat.messages[channel];
+  list.push(message);
+  if (list.length > HISTORY) list.splice(0, list.length - HISTORY);
+  return message;
+}
+
+module.exports = { CHANNELS, ensureChat, safeChatSettings, cleanText, addMessage };
@@ -0,0 +1,182 @@
+/*
+  Cluster backends
+  ----------------
+  What lets several server instances share rooms (ROOM_STORE=shared, see
+  roomStore.js) and broadcasts (the Socket.IO adapter below). A backend is:
+
+    kv  : get(key) -> entry|null, all() -> entry[], del(key),
+          cas(key, expectedVersion, entry) -> boolean   (entry = { version, ... };
+          written only if the stored version is still expectedVersion, 0 = missing),
+          incr(key, field) -> number   (atomic counter kept with key; del drops it)
+    bus : publish(channel, message), subscribe(channel, handler) -> unsubscribe()
+
+  Every call returns a promise; entries and messages are plain JSON.
+
+    local : in-process stand-in. Every server started in this process with the
+            same prefix shares one table and bus (tests, trying things out);
+            separate processes do not see each other.
+    redis : REDIS_URL. Rooms live in one hash, each room's counters in another,
+            the bus is Redis pub/sub.
+*/
+
+'use strict';
+
+const { EventEmitter } = require('events');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+// prefix -> { table, counters, emitter }, shared by every local backend in the process.
+const localClusters = new Map();
+
+function createLocalCluster({ prefix = 'jackbox:' } = {}) {
+  if (!localClusters.has(prefix)) {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    localClusters.set(prefix, { table: new Map(), counters: new Map(), emitter });
+  }
+  const { table, counters, emitter } = localClusters.get(prefix);
+
+  // Values are stored and sent as JSON so instances never share objects.
+  const read = (key) => (table.has(key) ? JSON.parse(table.get(key)) : null);
+
+  return {
+    kind: 'local',
+    kv: {
+      get: async (key) => read(key),
+      all: async () => Array.from(table.keys(), read),
+      del: async (key) => {
+        table.delete(key);
+        counters.delete(key);
+      },
+      cas: async (key, expectedVersion, entry) => {
+        if ((read(key)?.version || 0) !== expectedVersion) return false;
+        table.set(key, JSON.stringify(entry));
+        return true;
+      },
+      incr: async (key, field) => {
+        if (!counters.has(key)) counters.set(key, new Map());
+        const n = (counters.get(key).get(field) || 0) + 1;
+        counters.get(key).set(field, n);
+        return n;
+      },
+    },
+    bus: {
+      // Delivered on a later tick, like a network hop would be.
+      publish: async (channel, message) => {
+        const raw = JSON.stringify(message);
+        setImmediate(() => emitter.emit(channel, raw));
+      },
+      subscribe(channel, handler) {
+        const listener = (raw) => handler(JSON.parse(raw));
+        emitter.on(channel, listener);
+        return () => emitter.off(channel, listener);
+      },
+    },
+    close: async () => {},
+  };
+}
+
+// Compare-and-set on one hash field: the stored entry's version must match.
+const CAS_SCRIPT = `
+local cur = redis.call('HGET', KEYS[1], ARGV[1])
+local v = 0
+if cur then v = cjson.decode(cur).version or 0 end
+if v ~= tonumber(ARGV[2]) then return 0 end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+return 1`;
+
+function createRedisCluster({ url, prefix = 'jackbox:' }) {
+  // Only needed when this backend is used.
+  const { createClient } = require('redis');
+
+  const pub = createClient({ url });
+  const sub = pub.duplicate();
+  for (const client of [pub, sub]) client.on('error', (err) => console.error('[cluster] redis:', err.message));
+  const ready = Promise.all([pub.connect(), sub.connect()]);
+
+  const hash = `${prefix}rooms`;
+  const parse = (raw) => (raw ? JSON.parse(raw) : null);
+
+  return {
+    kind: 'redis',
+    kv: {
+      get: async (key) => {
+        await ready;
+        return parse(await pub.hGet(hash, key));
+      },
+      all: async () => {
+        await ready;
+        return Object.values(await pub.hGetAll(hash)).map(parse);
+      },
+      del: async (key) => {
+        await ready;
+        await Promise.all([pub.hDel(hash, key), pub.del(`${prefix}counters:${key}`)]);
+      },
+      cas: async (key, expectedVersion, entry) => {
+        await ready;
+        const args = [key, String(expectedVersion), JSON.stringify(entry)];
+        return (await pub.eval(CAS_SCRIPT, { keys: [hash], arguments: args })) === 1;
+      },
+      incr: async (key, field) => {
+        await ready;
+        return pub.hIncrBy(`${prefix}counters:${key}`, field, 1);
+      },
+    },
+    bus: {
+      publish: async (channel, message) => {
+        await ready;
+        await pub.publish(prefix + channel, JSON.stringify(message));
+      },
+      subscribe(channel, handler) {
+        const listener = (raw) => handler(JSON.parse(raw));
+        const subscribed = ready.then(() => sub.subscribe(prefix + channel, listener));
+        return () => subscribed.then(() => sub.unsubscribe(prefix + channel, listener));
+      },
+    },
+    close: async () => {
+      await ready;
+      await Promise.all([pub.quit(), sub.quit()]);
+    },
+  };
+}
+
+function createCluster({ backend, url, prefix }) {
+  const k = String(backend || 'local').trim().toLowerCase();
+  if (k === 'local') return createLocalCluster({ prefix });
+  if (k === 'redis') return createRedisCluster({ url, prefix });
+  throw new Error(`Unknown CLUSTER_BACKEND "${backend}" (expected local or redis)`);
+}
+
+/**
+ * Socket.IO adapter over a cluster bus: io.to(room).emit(), socketsJoin /
+ * socketsLeave, fetchSockets and serverSideEmit reach sockets on every
+ * instance. Use as io.adapter(createClusterAdapter(cluster)).
+ */
+function createClusterAdapter(cluster, opts = {}) {
+  const { bus } = cluster;
+
+  return class BusAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, opts);
+      this.channel = `sio#${nsp.name}`;
+      this.unsubscribe = [
+        bus.subscribe(this.channel, (message) => this.onMessage(message)),
+        bus.subscribe(`${this.channel}#${this.uid}`, (response) => this.onResponse(response)),
+      ];
+    }
+
+    doPublish(message) {
+      return bus.publish(this.channel, message).then(() => '');
+    }
+
+    doPublishResponse(requesterUid, response) {
+      return bus.publish(`${this.channel}#${requesterUid}`, response);
+    }
+
+    close() {
+      super.close();
+      for (const off of this.unsubscribe) off();
+    }
+  };
+}
+
+module.exports = { createCluster, createLocalCluster, createRedisCluster, createClusterAdapter };
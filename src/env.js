@@ -0,0 +1,22 @@
+/*
+  Environment
+  -----------
+  Numeric settings (the ENV list in index.js, MAFIA_* / TRIVIA_* in the games)
+  are read through envNumber so they all behave alike: unset or empty means the
+  default, 0 is a real value, and anything that is not a number is reported and
+  ignored.
+*/
+
+'use strict';
+
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || String(raw).trim() === '') return fallback;
+
+  const n = Number(raw);
+  if (Number.isFinite(n)) return n;
+  console.warn(`[env] ${name}="${raw}" is not a number; using ${fallback}`);
+  return fallback;
+}
+
+module.exports = { envNumber };
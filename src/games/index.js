@@ -0,0 +1,77 @@
+/*
+  Game modules
+  ------------
+  Every hub game is a module registered here. index.js owns the sockets and
+  routes to the module; modules never register socket handlers themselves.
+
+  A module is built by a factory that receives the server api (see gameApi in
+  index.js) and returns:
+
+    id     : 'mafia'; also the socket event prefix and the hub:setGame value
+    label  : display name
+
+    setup(room)                        : hub:setGame picked this game (optional)
+    start(room) -> { ok: true } | fail(code, details)
+                                       : host started a round; a failure is the ack (and start:error)
+    publicState(room, viewerClientId)  : what one viewer may see (<id>:state / game:state);
+                                         spectators get it too, so hide what they may not know
+    advance(room)                      : host pressed "next"
+    actions: {
+      [name]: { host?, dev?, audience?, setup?, schema?, run(room, ctx, payload) -> data | fail(code, details) }
+    }                                  : <id>:<name> and game:action events, only while <id> is
+                                         the hub's current game (else GAME_NOT_RUNNING) unless
+                                         setup: true (settings, usable before the game is picked).
+                                         host: host only; dev: room must be in dev mode;
+                                         audience: spectators only (room.audience);
+                                         schema: payload rules (see protocol.js validate).
+                                         ctx = { socket, code, clientId, isHost, isAudience }; clientId
+                                         is the sender's session (never taken from the payload)
+    onReconnect(room, clientId)        : a player (re)bound a socket; resend private info
+    removePlayer(room, clientId)       : a player left for good (kick, ban, player:leave) and is
+                                         already gone from room.players; stop waiting on them
+    notify(room)                       : players / host / dev mode changed; refresh clients
+                                         (usually api.pushState(room, id): each viewer gets
+                                         their own publicState as a versioned <id>:state)
+    stop(room)                         : game is being dropped (lobby, room closed); clear timers
+    restore(room)                      : room came back from a snapshot; re-arm timers
+    inspect(room, { secrets })         : operator view for the admin API; hidden info
+                                         (roles etc.) only when secrets is true
+    chatAccess(room, clientId) -> { room, graveyard }
+                                       : may this player post in the room chat / use the
+                                         graveyard right now (see chat.js). Default: room only
+
+  Bot players (room.players entries with `bot`, added by host:addBot) have no
+  socket; a game that supports them makes their moves itself (Mafia: bots.js).
+  A game that does not must not wait for them (Trivia leaves them out).
+
+  A game that runs a chat of its own (Mafia's team channel) passes the text
+  through api.chatText(room, clientId, text) so mutes and the word filter apply.
+
+  A module keeps its state in room.games[id] and its host settings in
+  room.gameSettings[id]. When a round ends it calls
+  api.recordGameEnd(room, id, { summary, scores, report }), which feeds the hub
+  scoreboard and history and keeps the report for download. A game that scores
+  as it goes (Trivia, per question) calls api.addPoints(room, { clientId: points })
+  each time instead and passes pointsAdded: true at the end.
+*/
+
+'use strict';
+
+function createGameRegistry() {
+  const games = new Map();
+
+  return {
+    register(game) {
+      if (!game || !game.id) throw new Error('Game module needs an id');
+      if (games.has(game.id)) throw new Error(`Game "${game.id}" is already registered`);
+      games.set(game.id, game);
+      return game;
+    },
+    get: (id) => games.get(id) || null,
+    has: (id) => games.has(id),
+    values: () => games.values(),
+    list: () => Array.from(games.values()).map((g) => ({ id: g.id, label: g.label || g.id })),
+  };
+}
+
+module.exports = { createGameRegistry };
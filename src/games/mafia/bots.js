@@ -0,0 +1,76 @@
+/*
+  Mafia bots
+  ----------
+  What a bot player (room.players entry with `bot: { behavior }`, see
+  host:addBot in index.js) does in a phase. The game engine asks these
+  functions for a pick and sends it through the same actions as a person
+  would, so every rule still applies.
+
+    random : any allowed target
+    smart  : investigators vote out what they found and never re-check anyone;
+             the mafia agree on one kill and never vote for each other; town
+             bots skip players their own checks cleared and follow the leading
+             candidate. A bot only uses what its seat would know.
+
+  `view` is built by the engine:
+    { botId, role, team, behavior, targets, teammates, teamPicks, checks, tally }
+  targets   : clientIds the bot may pick right now (already filtered by the rules)
+  teammates : fellow mafia (mafia bots only)
+  teamPicks : teammates' kill picks tonight, clientId -> count
+  checks    : this bot's investigation results, oldest first
+  tally     : current day tally, most votes first ({ targetId, votes })
+*/
+
+'use strict';
+
+function pickRandom(list) {
+  return list.length ? list[Math.floor(Math.random() * list.length)] : null;
+}
+
+function checked(view) {
+  const byTarget = new Map();
+  for (const c of view.checks || []) byTarget.set(c.targetId, c);
+  return byTarget;
+}
+
+// Target for tonight's action, or null to sit it out.
+function chooseNight(view, action) {
+  const others = view.targets.filter((cid) => cid !== view.botId);
+  if (view.behavior !== 'smart') return pickRandom(action === 'save' ? view.targets : others);
+
+  if (action === 'kill') {
+    const victims = others.filter((cid) => !view.teammates.includes(cid));
+    const agreed = Object.entries(view.teamPicks || {})
+      .filter(([cid]) => victims.includes(cid))
+      .sort((a, b) => b[1] - a[1])[0];
+    return agreed ? agreed[0] : pickRandom(victims);
+  }
+  if (action === 'check') {
+    const seen = checked(view);
+    return pickRandom(others.filter((cid) => !seen.has(cid))) || pickRandom(others);
+  }
+  return pickRandom(action === 'save' ? view.targets : others);
+}
+
+// Day ballot target, or null to hold off.
+function chooseVote(view) {
+  const others = view.targets.filter((cid) => cid !== view.botId);
+  if (view.behavior !== 'smart') return pickRandom(others);
+
+  const leading = (allowed) => view.tally.find((t) => t.targetId && allowed.includes(t.targetId))?.targetId;
+
+  if (view.team === 'mafia') {
+    const town = others.filter((cid) => !view.teammates.includes(cid));
+    return leading(town) || pickRandom(town);
+  }
+
+  const seen = checked(view);
+  const found = others.filter((cid) => seen.get(cid)?.isMafia || seen.get(cid)?.suspicious);
+  if (found.length) return pickRandom(found);
+
+  const suspects = others.filter((cid) => !seen.has(cid));
+  const pool = suspects.length ? suspects : others;
+  return leading(pool) || pickRandom(pool);
+}
+
+module.exports = { chooseNight, chooseVote };
@@ -0,0 +1,1497 @@
+/*
+  Mafia
+  -----
+  Game module (see games/index.js). Roles come from ./roles.js.
+
+  ENV (defaults for new rooms; the host can change them with mafia:configure):
+    MAFIA_ROLE_SECONDS, MAFIA_NIGHT_SECONDS, MAFIA_DAY_SECONDS, MAFIA_POINTS
+  MAFIA_BOT_DELAY_MS: bots act between this and twice this long into a phase (default 1500)
+*/
+
+'use strict';
+
+const { ROLES, TEAMS, getRole, teamOf, safeRoleName, publicRoleInfo } = require('./roles');
+const { chooseNight, chooseVote } = require('./bots');
+const { fail, isFailure } = require('../../protocol');
+const { envNumber } = require('../../env');
+
+const DEFAULT_TIMERS = {
+  role: envNumber('MAFIA_ROLE_SECONDS', 15),
+  night: envNumber('MAFIA_NIGHT_SECONDS', 60),
+  day: envNumber('MAFIA_DAY_SECONDS', 120),
+};
+
+const BOT_DELAY_MS = envNumber('MAFIA_BOT_DELAY_MS', 1500);
+
+// Hub scoreboard points per result.
+const DEFAULT_POINTS = {
+  win: 3, // on the winning side
+  survive: 1, // alive at the end
+  correctCheck: 1, // per investigation that found a mafia member
+  save: 2, // per night the doctor's save stopped a kill
+  lynchMafia: 1, // per day vote that helped eliminate a mafia member
+  ...JSON.parse(process.env.MAFIA_POINTS || '{}'),
+};
+
+// Day vote rules (settings.voting):
+//   threshold  : 'plurality' (most votes) | 'majority' (more than half of the living)
+//   tieRule    : 'none' (a tie for first eliminates nobody) | 'runoff' (one revote
+//                among the tied candidates; a second tie eliminates nobody)
+//   noLynch    : players may cast an explicit "no lynch" ballot
+//   ballot     : 'open' (the live tally names voters) | 'anonymous' (counts only)
+//   changeVote : false = the first vote of the day is final
+const DEFAULT_VOTING = { threshold: 'plurality', tieRule: 'none', noLynch: false, ballot: 'anonymous', changeVote: true };
+const VOTING_RULES = {
+  choices: { threshold: ['plurality', 'majority'], tieRule: ['none', 'runoff'], ballot: ['open', 'anonymous'] },
+  flags: ['noLynch', 'changeVote'],
+};
+
+// Night rule variants (settings.variants):
+//   investigation  : 'immediate' (result as soon as the check is sent) | 'dawn'
+//                    (only the final check of the night, revealed at dawn)
+//   lockActions    : the first night action a player sends is final
+//   doctorSelfSave : a doctor may save themselves
+//   doctorRepeat   : a doctor may save the same player two nights in a row
+const DEFAULT_VARIANTS = { investigation: 'immediate', lockActions: false, doctorSelfSave: true, doctorRepeat: true };
+const VARIANT_RULES = {
+  choices: { investigation: ['immediate', 'dawn'] },
+  flags: ['lockActions', 'doctorSelfSave', 'doctorRepeat'],
+};
+
+// When living players may post in the room chat (settings.chatPhases); the dead
+// only ever get the graveyard channel (see chatAccess).
+const DEFAULT_CHAT_PHASES = { role: true, night: false, day: true };
+const CHAT_PHASE_RULES = { choices: {}, flags: ['role', 'night', 'day'] };
+
+// Stored in m.day.votes for a "no lynch" ballot; never a clientId.
+const NO_LYNCH = 'no_lynch';
+
+// Parse host-supplied rules on top of `current`; null if anything is invalid.
+function safeRules(x, current, { choices, flags }) {
+  const out = { ...current };
+  for (const [key, raw] of Object.entries(x)) {
+    if (choices[key]) {
+      const v = String(raw || '').trim().toLowerCase();
+      if (!choices[key].includes(v)) return null;
+      out[key] = v;
+    } else if (flags.includes(key)) {
+      if (typeof raw !== 'boolean') return null;
+      out[key] = raw;
+    } else {
+      return null;
+    }
+  }
+  return out;
+}
+
+// ----- Role setup -----
+// Presets map a player count to special-role counts; villagers fill the rest.
+
+function classicRoleCounts(n) {
+  return {
+    mafia: n <= 3 ? 1 : Math.max(1, Math.floor((n - 1) / 3)),
+    detective: n >= 3 ? 1 : 0,
+    doctor: n >= 3 ? 1 : 0,
+  };
+}
+
+const PRESETS = {
+  classic: classicRoleCounts,
+  no_doctor: (n) => ({ ...classicRoleCounts(n), doctor: 0 }),
+  double_mafia: () => ({ mafia: 2, detective: 1, doctor: 1 }),
+};
+
+// Every role except villager can be dealt by count; villagers fill the rest.
+const SETUP_ROLES = Object.keys(ROLES).filter((r) => r !== 'villager');
+
+function safePresetName(x) {
+  const p = String(x || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return Object.prototype.hasOwnProperty.call(PRESETS, p) ? p : null;
+}
+
+// Parse host-supplied counts; null if anything is not a known role / sane number.
+function safeRoleCounts(x) {
+  if (!x || typeof x !== 'object') return null;
+  const counts = {};
+  for (const [role, raw] of Object.entries(x)) {
+    if (!SETUP_ROLES.includes(role)) return null;
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < 0 || n > 50) return null;
+    counts[role] = n;
+  }
+  return counts;
+}
+
+function safeSeconds(x, fallback) {
+  const n = Math.floor(Number(x));
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(Math.max(n, 0), 60 * 60);
+}
+
+function createMafiaGame(api) {
+  const { io } = api;
+
+  function stateOf(room) {
+    return room.games?.mafia || null;
+  }
+
+  /**
+   * room.gameSettings.mafia: {
+   *   timers: { role, night, day },                       // seconds, 0 = host advances manually
+   *   roles: { preset: string, counts: Record<role, number>|null },   // counts set => custom setup
+   *   killRule: 'plurality' | 'majority',                 // how mafia picks become the kill
+   *   voting: { threshold, tieRule, noLynch, ballot, changeVote },   // day vote rules (DEFAULT_VOTING)
+   *   variants: { investigation, lockActions, doctorSelfSave, doctorRepeat },   // night rules (DEFAULT_VARIANTS)
+   *   chatPhases: { role, night, day },                   // room chat open for the living (DEFAULT_CHAT_PHASES)
+   *   audienceVotes: boolean,                             // spectators may cast advisory day votes
+   *   points: { win, survive, correctCheck, save, lynchMafia },   // hub points awarded at game end
+   * }
+   */
+  function ensureSettings(room) {
+    if (!room.gameSettings) room.gameSettings = {};
+    if (!room.gameSettings.mafia) room.gameSettings.mafia = {};
+    const s = room.gameSettings.mafia;
+    if (!s.timers) s.timers = { ...DEFAULT_TIMERS };
+    if (!s.roles) s.roles = { preset: 'classic', counts: null };
+    if (!s.killRule) s.killRule = 'plurality';
+    if (!s.voting) s.voting = { ...DEFAULT_VOTING };
+    if (!s.variants) s.variants = { ...DEFAULT_VARIANTS };
+    if (!s.chatPhases) s.chatPhases = { ...DEFAULT_CHAT_PHASES };
+    if (typeof s.audienceVotes !== 'boolean') s.audienceVotes = true;
+    if (!s.points) s.points = { ...DEFAULT_POINTS };
+    return s;
+  }
+
+  function alivePlayers(room) {
+    const m = stateOf(room);
+    if (!m) return [];
+    return Object.keys(m.alive).filter((cid) => m.alive[cid]);
+  }
+
+  // Each viewer gets their own publicState, versioned (see State pushes in index.js).
+  function pushState(room) {
+    api.pushState(room, 'mafia');
+  }
+
+  function emitRoleToPlayer(room, clientId) {
+    const m = stateOf(room);
+    if (!m?.started) return;
+    const role = m.assignments[clientId] || null;
+    if (!role) return;
+
+    api.emitToPlayer(room, clientId, 'mafia:role', { roomCode: room.roomCode, role, team: teamOf(role) });
+    // Mafia members learn who their partners are.
+    if (teamOf(role) === 'mafia') {
+      api.emitToPlayer(room, clientId, 'mafia:team', { roomCode: room.roomCode, ...teamState(room) });
+    }
+  }
+
+  function pushStateToAll(room) {
+    pushState(room);
+
+    // Ensure each player still knows their role after reconnect.
+    if (stateOf(room)?.started) {
+      for (const cid of room.players.keys()) {
+        emitRoleToPlayer(room, cid);
+      }
+    }
+  }
+
+  // ----- Mafia team channel -----
+
+  function mafiaTeamIds(m) {
+    return Object.keys(m.assignments).filter((cid) => teamOf(m.assignments[cid]) === 'mafia');
+  }
+
+  // Emit to the alive mafia members' current sockets.
+  function emitToMafiaTeam(room, event, payload) {
+    const m = stateOf(room);
+    if (!m) return;
+    for (const cid of mafiaTeamIds(m)) {
+      if (m.alive[cid]) api.emitToPlayer(room, cid, event, payload);
+    }
+  }
+
+  // What mafia members see of their own team: partners, tonight's picks, chat.
+  function teamState(room) {
+    const m = stateOf(room);
+    const nameOf = (cid) => api.nameOf(room, cid);
+
+    const members = mafiaTeamIds(m).map((cid) => ({
+      clientId: cid,
+      name: nameOf(cid),
+      role: m.assignments[cid],
+      alive: !!m.alive[cid],
+    }));
+
+    const picks = [];
+    for (const [cid, a] of Object.entries(m.night?.actions || {})) {
+      if (a.action !== 'kill' || !m.alive[cid]) continue;
+      picks.push({ clientId: cid, name: nameOf(cid), targetId: a.targetId, targetName: nameOf(a.targetId) });
+    }
+
+    return {
+      members,
+      picks,
+      leadingTargetId: m.phase === 'night' ? mafiaKillTarget(room) : null,
+      chat: (m.teamChat || []).slice(-50),
+    };
+  }
+
+  /**
+   * Resolve the room's role setup for n players.
+   * Returns { ok: true, counts } (counts include villagers) or a fail() result
+   * (see protocol.js) that mafia:start passes straight back.
+   */
+  function resolveRoleSetup(room, n) {
+    const { preset, counts } = ensureSettings(room).roles;
+
+    let special;
+    if (counts) {
+      special = { ...counts };
+    } else {
+      const fn = PRESETS[preset];
+      if (!fn) return fail('UNKNOWN_PRESET', { preset });
+      special = fn(n);
+    }
+
+    for (const role of SETUP_ROLES) special[role] = special[role] || 0;
+    const specialTotal = SETUP_ROLES.reduce((sum, role) => sum + special[role], 0);
+    const mafiaTotal = SETUP_ROLES.reduce((sum, role) => sum + (teamOf(role) === 'mafia' ? special[role] : 0), 0);
+
+    if (mafiaTotal < 1) return fail('NEED_MAFIA');
+    if (specialTotal > n) {
+      return fail('TOO_MANY_ROLES', { roleCount: specialTotal, playerCount: n });
+    }
+
+    // Mafia must start outnumbered, otherwise they have already won.
+    // Dev mode skips this so tiny test games still start.
+    const others = n - mafiaTotal;
+    if (!room.devMode && mafiaTotal >= others) {
+      return fail('UNBALANCED', { mafia: mafiaTotal, town: others });
+    }
+
+    return { ok: true, counts: { ...special, villager: n - specialTotal } };
+  }
+
+  // ----- Phase timers -----
+  // m.timer is plain data (persisted with the room); the setTimeout handles live
+  // here, keyed by room code, and are re-armed from m.timer after a restart.
+
+  const phaseTimers = new Map();
+
+  function clearPhaseTimer(roomCode) {
+    const t = phaseTimers.get(roomCode);
+    if (t) clearTimeout(t);
+    phaseTimers.delete(roomCode);
+  }
+
+  function armPhaseTimer(room) {
+    const roomCode = room.roomCode;
+    const m = stateOf(room);
+    clearPhaseTimer(roomCode);
+    if (!m?.timer || m.timer.paused || !m.timer.deadline) return;
+
+    const { phase, round } = m.timer;
+    const t = setTimeout(() => {
+      phaseTimers.delete(roomCode);
+      const r = api.getRoom(roomCode);
+      const rm = r && stateOf(r);
+      if (!rm?.started || rm.winnerTeam) return;
+      if (rm.phase !== phase || rm.round !== round) return;
+      // Another instance may have paused or extended it (ROOM_STORE=shared).
+      if (!rm.timer || rm.timer.paused) return;
+      if (rm.timer.deadline > Date.now()) return armPhaseTimer(r);
+      advance(r);
+    }, Math.max(0, m.timer.deadline - Date.now()));
+    t.unref();
+    phaseTimers.set(roomCode, t);
+  }
+
+  // Start the countdown for whatever phase the game is now in.
+  function startPhaseTimer(room) {
+    const m = stateOf(room);
+    if (!m?.started || m.winnerTeam) {
+      if (m) m.timer = null;
+      clearPhaseTimer(room.roomCode);
+      return;
+    }
+
+    const seconds = ensureSettings(room).timers[m.phase] || 0;
+    m.timer = {
+      phase: m.phase,
+      round: m.round,
+      durationMs: seconds * 1000,
+      deadline: seconds > 0 ? Date.now() + seconds * 1000 : null,
+      remainingMs: null,
+      paused: false,
+    };
+    armPhaseTimer(room);
+  }
+
+  function publicTimer(m) {
+    const t = m?.timer;
+    if (!t) return null;
+    return {
+      phase: t.phase,
+      round: t.round,
+      durationMs: t.durationMs,
+      deadline: t.deadline,
+      remainingMs: t.paused ? t.remainingMs : t.deadline ? Math.max(0, t.deadline - Date.now()) : null,
+      paused: !!t.paused,
+      serverNow: Date.now(),
+    };
+  }
+
+  function broadcastTimer(room) {
+    io.to(room.roomCode).emit('mafia:timer', { roomCode: room.roomCode, timer: publicTimer(stateOf(room)) });
+  }
+
+  // Move the game to its next phase (host "next", timer expiry, or everyone acted).
+  function advance(room) {
+    const m = stateOf(room);
+    if (!m?.started || m.winnerTeam) return;
+
+    if (m.phase === 'role') {
+      m.phase = 'night';
+      resetNight(m);
+    } else if (m.phase === 'night') {
+      resolveNight(room);
+    } else if (m.phase === 'day') {
+      resolveDay(room);
+    }
+    if (!m.winnerTeam) logMafia(m, 'phase', { to: m.phase });
+
+    startPhaseTimer(room);
+    scheduleBots(room);
+    api.touchRoom(room);
+    pushStateToAll(room);
+    broadcastTimer(room);
+  }
+
+  // True when every alive player who can act in the current phase has done so.
+  function everyoneActed(m, alive) {
+    if (m.phase === 'night') {
+      const actions = m.night?.actions || {};
+      return alive.every((cid) => {
+        if (!getRole(m.assignments[cid])?.night) return true;
+        return !!actions[cid];
+      });
+    }
+    if (m.phase === 'day') {
+      return alive.every((cid) => !!m.day?.votes?.[cid]);
+    }
+    return false;
+  }
+
+  function maybeAutoAdvance(room) {
+    const m = stateOf(room);
+    if (!m?.started || m.winnerTeam || m.timer?.paused) return;
+    if (everyoneActed(m, alivePlayers(room))) advance(room);
+  }
+
+  // ===== Bots =====
+  // Bot seats act once per phase (again after a runoff), a moment in, through
+  // the same actions as everyone else. Picks come from bots.js.
+
+  const botTimers = new Map();
+
+  function clearBotTimer(roomCode) {
+    const t = botTimers.get(roomCode);
+    if (t) clearTimeout(t);
+    botTimers.delete(roomCode);
+  }
+
+  function livingBots(room) {
+    const m = stateOf(room);
+    return Array.from(room.players.values()).filter((p) => p.bot && m.alive[p.clientId]);
+  }
+
+  function scheduleBots(room) {
+    const roomCode = room.roomCode;
+    clearBotTimer(roomCode);
+    const m = running(room);
+    if (!m || (m.phase !== 'night' && m.phase !== 'day') || !livingBots(room).length) return;
+
+    const { phase, round } = m;
+    const t = setTimeout(() => {
+      botTimers.delete(roomCode);
+      const r = api.getRoom(roomCode);
+      const rm = r && running(r);
+      if (rm && rm.phase === phase && rm.round === round) runBots(r);
+    }, BOT_DELAY_MS + Math.floor(Math.random() * BOT_DELAY_MS));
+    t.unref();
+    botTimers.set(roomCode, t);
+  }
+
+  // What bot p knows right now; see bots.js for the fields.
+  function botView(room, p) {
+    const m = stateOf(room);
+    const cid = p.clientId;
+    const role = m.assignments[cid];
+    const night = getRole(role)?.night;
+    const alive = alivePlayers(room);
+    const mafia = teamOf(role) === 'mafia';
+
+    let targets = alive;
+    if (m.phase === 'night' && night) targets = alive.filter((t) => !targetError(room, cid, night.action, t));
+    if (m.phase === 'day' && m.day.runoff) targets = m.day.runoff.candidates.filter((t) => m.alive[t]);
+
+    const teamPicks = {};
+    if (mafia) {
+      for (const [id, a] of Object.entries(m.night?.actions || {})) {
+        if (a.action === 'kill' && id !== cid) teamPicks[a.targetId] = (teamPicks[a.targetId] || 0) + 1;
+      }
+    }
+
+    return {
+      botId: cid,
+      role,
+      team: teamOf(role),
+      behavior: p.bot.behavior,
+      targets,
+      teammates: mafia ? alive.filter((t) => teamOf(m.assignments[t]) === 'mafia') : [],
+      teamPicks,
+      checks: (m.log || []).filter((e) => e.type === 'investigation' && e.clientId === cid).map((e) => e.result),
+      tally: m.phase === 'day' ? dayTally(room) : [],
+    };
+  }
+
+  function runBots(room) {
+    const m = stateOf(room);
+    const { phase, round } = m;
+
+    for (const p of livingBots(room)) {
+      // A bot's move may have ended the phase (everyone acted).
+      if (!running(room) || m.phase !== phase || m.round !== round) return;
+      const ctx = { socket: null, code: room.roomCode, clientId: p.clientId, isHost: false, isAudience: false };
+
+      if (phase === 'night') {
+        const night = getRole(m.assignments[p.clientId])?.night;
+        if (!night || m.night.actions[p.clientId]) continue;
+        const targetId = chooseNight(botView(room, p), night.action);
+        if (targetId) actions.nightAction.run(room, ctx, { action: night.action, targetId });
+      } else if (m.day.votes[p.clientId] === undefined) {
+        const targetId = chooseVote(botView(room, p));
+        if (targetId) actions.vote.run(room, ctx, { targetId });
+      }
+    }
+  }
+
+  /**
+   * Who (if anyone) has won. event is the thing that just happened, e.g.
+   * { type: 'lynch', clientId } so roles with their own win condition can claim it.
+   * Returns { winnerTeam, winnerRole, winners: clientId[] } or null; winnerRole is
+   * set when one role won on its own (Jester), winnerTeam is always a TEAMS key.
+   */
+  function computeWinner(m, event) {
+    const lynched = m.assignments[event?.clientId];
+    if (event?.type === 'lynch' && getRole(lynched)?.winsOnLynch) {
+      return { winnerTeam: teamOf(lynched), winnerRole: lynched, winners: [event.clientId] };
+    }
+
+    const alive = Object.keys(m.alive).filter((cid) => m.alive[cid]);
+    const aliveByTeam = {};
+    for (const cid of alive) {
+      const team = teamOf(m.assignments[cid]);
+      aliveByTeam[team] = (aliveByTeam[team] || 0) + 1;
+    }
+
+    for (const [team, def] of Object.entries(TEAMS)) {
+      if (def.wins(aliveByTeam, alive.length)) {
+        const winners = Object.keys(m.assignments).filter((cid) => teamOf(m.assignments[cid]) === team);
+        return { winnerTeam: team, winnerRole: null, winners };
+      }
+    }
+    return null;
+  }
+
+  function updateWinner(room, event) {
+    const m = stateOf(room);
+    const wasOver = !!m.winnerTeam;
+    const result = computeWinner(m, event);
+    m.winnerTeam = result?.winnerTeam || null;
+    m.winnerRole = result?.winnerRole || null;
+    m.winners = result?.winners || [];
+    if (m.winnerTeam && !wasOver) endGame(room);
+  }
+
+  // ----- Game log / reveal -----
+
+  // Append to the game's timeline. Everything that happens in a game goes through here.
+  function logMafia(m, type, data) {
+    if (!m.log) m.log = [];
+    m.log.push({ at: Date.now(), round: m.round, phase: m.phase, type, ...data });
+  }
+
+  // Full reveal: every role, the winners and the timeline. Settings and the log
+  // are copied: the report is kept after the game, and both change in place.
+  function report(room) {
+    const m = stateOf(room);
+    return {
+      roomCode: room.roomCode,
+      game: 'mafia',
+      startedAt: m.startedAt || null,
+      endedAt: m.endedAt || null,
+      winnerTeam: m.winnerTeam,
+      winnerRole: m.winnerRole || null,
+      winners: m.winners || [],
+      players: Object.keys(m.assignments).map((cid) => ({
+        clientId: cid,
+        name: api.nameOf(room, cid),
+        role: m.assignments[cid],
+        team: teamOf(m.assignments[cid]),
+        alive: !!m.alive[cid],
+      })),
+      settings: structuredClone(ensureSettings(room)),
+      timeline: structuredClone(m.log || []),
+    };
+  }
+
+  /**
+   * Points each player earned this game, from the timeline.
+   * Returns { [clientId]: { total, items: { win?, survive?, correctCheck?, save?, lynchMafia? } } }.
+   */
+  function scores(room) {
+    const m = stateOf(room);
+    const points = ensureSettings(room).points;
+    const out = {};
+
+    function award(cid, item) {
+      const pts = Number(points[item]) || 0;
+      if (!pts) return;
+      if (!out[cid]) out[cid] = { total: 0, items: {} };
+      out[cid].items[item] = (out[cid].items[item] || 0) + pts;
+      out[cid].total += pts;
+    }
+
+    for (const cid of m.winners || []) award(cid, 'win');
+    for (const cid of Object.keys(m.alive)) {
+      if (m.alive[cid]) award(cid, 'survive');
+    }
+
+    // One check per investigator per night: the last one sent (a re-sent check
+    // is logged again with variants.investigation 'immediate').
+    const checks = new Map();
+    for (const e of m.log || []) {
+      if (e.type === 'investigation') checks.set(`${e.clientId}|${e.round}`, e);
+    }
+    for (const e of checks.values()) {
+      if (e.result?.isMafia && teamOf(m.assignments[e.result.targetId]) === 'mafia') award(e.clientId, 'correctCheck');
+    }
+
+    for (const e of m.log || []) {
+      if (e.type === 'nightResult') {
+        for (const o of e.outcomes || []) {
+          if (o.type === 'saved') for (const cid of o.by || []) award(cid, 'save');
+        }
+      } else if (e.type === 'dayResult' && e.eliminatedId && teamOf(m.assignments[e.eliminatedId]) === 'mafia') {
+        for (const [voter, target] of Object.entries(e.votes || {})) {
+          if (target === e.eliminatedId && teamOf(m.assignments[voter]) !== 'mafia') award(voter, 'lynchMafia');
+        }
+      }
+    }
+
+    return out;
+  }
+
+  function endGame(room) {
+    const m = stateOf(room);
+    m.endedAt = Date.now();
+    logMafia(m, 'gameEnd', { winnerTeam: m.winnerTeam, winnerRole: m.winnerRole || null, winners: m.winners });
+
+    const earned = scores(room);
+    const full = { ...report(room), scores: earned };
+    api.recordGameEnd(room, 'mafia', { summary: { winnerTeam: m.winnerTeam, winnerRole: m.winnerRole || null }, scores: earned, report: full });
+    io.to(room.roomCode).emit('mafia:gameOver', { roomCode: room.roomCode, report: full });
+  }
+
+  function publicState(room, viewerClientId) {
+    const roomCode = room.roomCode;
+    const m = stateOf(room);
+
+    if (!m || !m.started) {
+      return {
+        roomCode,
+        started: false,
+        phase: null,
+        round: 1,
+        winnerTeam: null,
+        winnerRole: null,
+        winners: [],
+        myRole: null,
+        myRoleInfo: null,
+        team: null,
+        alive: [],
+        lastResult: null,
+        vote: null,
+        myNight: null,
+        canAdvance: false,
+        hostStats: null,
+        investigationResult: null,
+        timer: null,
+        settings: ensureSettings(room),
+        // What mafia:start would deal right now (or why it would fail).
+        setupPreview: resolveRoleSetup(room, room.players.size),
+        report: null,
+        devMode: !!room.devMode,
+      };
+    }
+
+    const aliveList = Array.from(room.players.values()).map((p) => ({
+      clientId: p.clientId,
+      name: p.name,
+      alive: !!m.alive[p.clientId],
+    }));
+
+    const myRole = m.assignments[viewerClientId] || null;
+
+    const viewerIsHost = viewerClientId && viewerClientId === room.hostClientId;
+
+    // Host stats only
+    let hostStats = null;
+    if (viewerIsHost) {
+      const aliveIds = alivePlayers(room);
+      const votedCount = Object.keys(m.day?.votes || {}).length;
+      const picked = {};
+      for (const [cid, a] of Object.entries(m.night?.actions || {})) {
+        if (m.alive[cid]) picked[a.action] = true;
+      }
+      hostStats = {
+        aliveCount: aliveIds.length,
+        votedCount,
+        actionsPicked: picked,
+        mafiaPicked: !!picked.kill,
+        doctorPicked: !!picked.save,
+        detectivePicked: !!picked.check,
+        devMode: !!room.devMode,
+      };
+    }
+
+    // Mafia members see their partners, tonight's picks and their private chat.
+    const team = teamOf(myRole) === 'mafia' ? teamState(room) : null;
+
+    // Day vote: the rules, this viewer's ballot and the live tally.
+    let vote = null;
+    if (m.phase === 'day') {
+      const myVote = m.day?.votes?.[viewerClientId];
+      vote = {
+        rules: ensureSettings(room).voting,
+        runoff: m.day?.runoff ? namedList(room, m.day.runoff.candidates) : null,
+        myVote: myVote === undefined ? null : { targetId: myVote === NO_LYNCH ? null : myVote, noLynch: myVote === NO_LYNCH },
+        votedCount: Object.keys(m.day?.votes || {}).filter((cid) => m.alive[cid]).length,
+        tally: dayTally(room),
+        // Advisory only: what the spectators would pick. Never counted.
+        audience: ensureSettings(room).audienceVotes ? audienceTally(room, viewerClientId) : null,
+      };
+    }
+
+    // Tonight's action for this viewer: what they sent and whom they may pick.
+    let myNight = null;
+    const night = getRole(myRole)?.night;
+    if (m.phase === 'night' && night && m.alive[viewerClientId]) {
+      const submitted = m.night?.actions?.[viewerClientId] || null;
+      myNight = {
+        action: night.action,
+        targetId: submitted?.targetId || null,
+        locked: !!(submitted && ensureSettings(room).variants.lockActions),
+        targets: alivePlayers(room).filter((cid) => !targetError(room, viewerClientId, night.action, cid)),
+      };
+    }
+
+    // Investigation results: only for the investigator who performed the check
+    // (at dawn with variants.investigation 'dawn'; see reveal)
+    let investigationResult = null;
+    if (getRole(myRole)?.night?.action === 'check') {
+      investigationResult = m.investigations?.[viewerClientId] || null;
+    }
+
+    return {
+      roomCode,
+      started: true,
+      phase: m.phase,
+      round: m.round,
+      winnerTeam: m.winnerTeam,
+      winnerRole: m.winnerRole || null,
+      winners: m.winnerTeam ? m.winners || [] : [],
+      myRole,
+      myRoleInfo: publicRoleInfo(myRole),
+      team,
+      alive: aliveList,
+      lastResult: m.lastResult,
+      vote,
+      myNight,
+      canAdvance: viewerIsHost,
+      hostStats,
+      investigationResult,
+      timer: publicTimer(m),
+      settings: ensureSettings(room),
+      // Once the game is over everyone gets the full reveal.
+      report: m.winnerTeam ? room.gameReports?.mafia || null : null,
+      devMode: !!room.devMode,
+    };
+  }
+
+  function start(room) {
+    const players = Array.from(room.players.values());
+    const n = players.length;
+
+    // Dev mode can start from 2 players, normal requires 5
+    const minPlayers = room.devMode ? 2 : 5;
+    if (n < minPlayers) return fail('NEED_MIN_PLAYERS', { minPlayers });
+
+    const setup = resolveRoleSetup(room, n);
+    if (!setup.ok) return setup;
+
+    const roles = [];
+    for (const [role, count] of Object.entries(setup.counts)) {
+      for (let i = 0; i < count; i++) roles.push(role);
+    }
+
+    // Shuffle roles
+    for (let i = roles.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [roles[i], roles[j]] = [roles[j], roles[i]];
+    }
+
+    const assignments = {};
+    const alive = {};
+    players.forEach((p, idx) => {
+      assignments[p.clientId] = roles[idx];
+      alive[p.clientId] = true;
+    });
+
+    room.games.mafia = {
+      started: true,
+      startedAt: Date.now(),
+      phase: 'role',
+      round: 1,
+      assignments,
+      alive,
+      winnerTeam: null,
+      winnerRole: null,
+      winners: [],
+      night: { actions: {} },
+      day: { votes: {} },
+      lastResult: null,
+      investigations: {}, // investigator clientId -> latest result
+      lastTargets: {}, // clientId -> last night's target (variants.doctorRepeat)
+      teamChat: [], // mafia-only night chat
+      timer: null,
+      log: [],
+    };
+
+    logMafia(room.games.mafia, 'start', {
+      roles: Object.keys(assignments).map((cid) => ({ clientId: cid, role: assignments[cid] })),
+    });
+
+    startPhaseTimer(room);
+
+    // Emit roles to everyone
+    pushStateToAll(room);
+    broadcastTimer(room);
+
+    return { ok: true };
+  }
+
+  /**
+   * Why actorId may not aim `action` at targetId tonight (a fail code), or null.
+   * Checked when the action is sent and again at dawn, so settings changed
+   * mid-night still apply.
+   */
+  function targetError(room, actorId, action, targetId) {
+    const m = stateOf(room);
+    const night = getRole(m.assignments[actorId])?.night;
+    const variants = ensureSettings(room).variants;
+
+    if (!m.alive[targetId]) return 'INVALID_TARGET';
+    if (targetId === actorId && night?.selfTarget === false) return 'CANNOT_TARGET_SELF';
+    if (action === 'save') {
+      if (targetId === actorId && !variants.doctorSelfSave) return 'CANNOT_TARGET_SELF';
+      if (!variants.doctorRepeat && m.lastTargets?.[actorId] === targetId) return 'SAME_TARGET_TWICE';
+    }
+    return null;
+  }
+
+  // Give the actor what their role learns (investigations) and log it.
+  function reveal(m, act) {
+    const night = getRole(m.assignments[act.actorId])?.night;
+    if (!night?.reveal) return;
+    night.reveal(m, act);
+    if (m.investigations?.[act.actorId]) {
+      logMafia(m, 'investigation', { clientId: act.actorId, result: m.investigations[act.actorId] });
+    }
+  }
+
+  // m.night.actions: clientId -> { action, targetId, at }
+  function resetNight(m) {
+    m.night = { actions: {} };
+  }
+
+  function resetDay(m) {
+    m.day = { votes: {} };
+  }
+
+  function resolveNight(room) {
+    const m = stateOf(room);
+    if (!m || m.winnerTeam) return;
+
+    // Individual actions first (saves, guards, ...), in role priority order.
+    const ctx = { m, savedBy: {}, guardedBy: {}, deaths: [], outcomes: [] };
+    const acts = Object.entries(m.night?.actions || {})
+      .filter(([cid]) => m.alive[cid])
+      .map(([cid, a]) => ({ actorId: cid, role: getRole(m.assignments[cid]), ...a }))
+      .filter((a) => a.role?.night?.action === a.action && !targetError(room, a.actorId, a.action, a.targetId))
+      .sort((a, b) => (a.role.night.priority || 0) - (b.role.night.priority || 0));
+
+    if (ensureSettings(room).variants.investigation === 'dawn') {
+      for (const act of acts) reveal(m, act);
+    }
+    for (const act of acts) {
+      if (act.role.night.resolve) act.role.night.resolve(ctx, act);
+    }
+    // For variants.doctorRepeat.
+    m.lastTargets = Object.fromEntries(acts.map((a) => [a.actorId, a.targetId]));
+
+    // Then the mafia kill.
+    const kill = mafiaKillTarget(room);
+    if (kill && m.alive[kill]) attack(ctx, kill);
+
+    for (const cid of ctx.deaths) {
+      m.alive[cid] = false;
+      logMafia(m, 'death', { clientId: cid, cause: 'night' });
+    }
+    logMafia(m, 'nightResult', { killTarget: kill, outcomes: ctx.outcomes, deaths: ctx.deaths });
+
+    const deaths = ctx.deaths.map((cid) => ({ clientId: cid, name: api.nameOf(room, cid) }));
+    m.lastResult = {
+      type: 'night',
+      died: deaths[0] || null,
+      deaths,
+    };
+
+    // winner?
+    updateWinner(room);
+
+    // next phase
+    if (!m.winnerTeam) {
+      m.phase = 'day';
+      resetDay(m);
+    }
+
+    resetNight(m);
+  }
+
+  /**
+   * Team pick for the shared kill, from the alive mafia members' picks.
+   *   plurality (default): most picks wins
+   *   majority           : more than half of the alive killers must agree, else no kill
+   * Ties go to the target a tie-breaker role (Godfather) picked, otherwise to the
+   * target that was picked first.
+   */
+  function mafiaKillTarget(room) {
+    const m = stateOf(room);
+    const tally = new Map();
+    let killers = 0;
+
+    for (const cid of Object.keys(m.alive)) {
+      const night = getRole(m.assignments[cid])?.night;
+      if (m.alive[cid] && night?.action === 'kill') killers += 1;
+    }
+
+    for (const [cid, a] of Object.entries(m.night?.actions || {})) {
+      if (a.action !== 'kill' || !m.alive[cid]) continue;
+      const t = tally.get(a.targetId) || { targetId: a.targetId, votes: 0, firstAt: a.at, tieBreaker: false };
+      t.votes += 1;
+      t.firstAt = Math.min(t.firstAt, a.at);
+      if (getRole(m.assignments[cid])?.night?.tieBreaker) t.tieBreaker = true;
+      tally.set(a.targetId, t);
+    }
+
+    const ranked = Array.from(tally.values()).sort(
+      (a, b) => b.votes - a.votes || Number(b.tieBreaker) - Number(a.tieBreaker) || a.firstAt - b.firstAt
+    );
+    const top = ranked[0];
+    if (!top) return null;
+
+    if (ensureSettings(room).killRule === 'majority' && top.votes * 2 <= killers) return null;
+    return top.targetId;
+  }
+
+  // A bodyguard protecting the target dies in their place; a doctor save on
+  // whoever ends up hit cancels the death. ctx.outcomes records what happened.
+  function attack(ctx, targetId) {
+    const guard = ctx.guardedBy[targetId];
+    const victim = guard && ctx.m.alive[guard] ? guard : targetId;
+    if (victim !== targetId) ctx.outcomes.push({ type: 'guarded', targetId, bodyguardId: victim });
+    if (ctx.savedBy[victim]) {
+      ctx.outcomes.push({ type: 'saved', clientId: victim, by: ctx.savedBy[victim] });
+      return;
+    }
+    if (!ctx.deaths.includes(victim)) ctx.deaths.push(victim);
+  }
+
+  function namedList(room, ids) {
+    return ids.map((cid) => ({ clientId: cid, name: api.nameOf(room, cid) }));
+  }
+
+  /**
+   * Today's ballots from living voters, most votes first:
+   *   [{ targetId|null, name|null, noLynch, votes, voters? }]
+   * voters (clientIds) only for open ballots, or when full is set (the log).
+   */
+  function dayTally(room, { full = false } = {}) {
+    const m = stateOf(room);
+    const open = full || ensureSettings(room).voting.ballot === 'open';
+    const byTarget = new Map();
+
+    for (const [voter, target] of Object.entries(m.day?.votes || {})) {
+      if (!m.alive[voter]) continue;
+      if (target !== NO_LYNCH && !m.alive[target]) continue;
+      if (!byTarget.has(target)) byTarget.set(target, []);
+      byTarget.get(target).push(voter);
+    }
+
+    return Array.from(byTarget, ([target, voters]) => {
+      const noLynch = target === NO_LYNCH;
+      return {
+        targetId: noLynch ? null : target,
+        name: noLynch ? null : api.nameOf(room, target),
+        noLynch,
+        votes: voters.length,
+        ...(open ? { voters } : {}),
+      };
+    }).sort((a, b) => b.votes - a.votes);
+  }
+
+  // Spectator ballots (m.day.audienceVotes) by target; myVote for a spectator viewer.
+  function audienceTally(room, viewerClientId) {
+    const m = stateOf(room);
+    const ballots = m.day?.audienceVotes || {};
+    const counts = new Map();
+    for (const [voter, target] of Object.entries(ballots)) {
+      if (!m.alive[target] || !room.audience?.[voter]) continue;
+      counts.set(target, (counts.get(target) || 0) + 1);
+    }
+
+    const tally = Array.from(counts, ([targetId, votes]) => ({ targetId, name: api.nameOf(room, targetId), votes }));
+    return {
+      votedCount: tally.reduce((n, t) => n + t.votes, 0),
+      tally: tally.sort((a, b) => b.votes - a.votes),
+      myVote: ballots[viewerClientId] || null,
+    };
+  }
+
+  /**
+   * End of the day vote, by settings.voting. outcome is one of
+   *   'eliminated' | 'tie' | 'runoff' | 'noLynch' | 'noMajority' | 'noVotes'.
+   * A runoff keeps the game in the day phase with only the tied candidates.
+   */
+  function resolveDay(room) {
+    const m = stateOf(room);
+    if (!m || m.winnerTeam) return;
+
+    const rules = ensureSettings(room).voting;
+    const votes = m.day?.votes || {};
+    const aliveCount = alivePlayers(room).length;
+    const tally = dayTally(room);
+    const fullTally = dayTally(room, { full: true });
+    const [top, second] = fullTally;
+
+    let outcome = 'eliminated';
+    if (!top) outcome = 'noVotes';
+    else if (second && second.votes === top.votes) outcome = 'tie';
+    else if (top.noLynch) outcome = 'noLynch';
+    else if (rules.threshold === 'majority' && top.votes * 2 <= aliveCount) outcome = 'noMajority';
+
+    let runoff = null;
+    if (outcome === 'tie' && rules.tieRule === 'runoff' && !m.day?.runoff) {
+      const tied = fullTally.filter((t) => t.votes === top.votes && !t.noLynch).map((t) => t.targetId);
+      if (tied.length >= 2) {
+        outcome = 'runoff';
+        runoff = tied;
+      }
+    }
+
+    const eliminatedId = outcome === 'eliminated' ? top.targetId : null;
+    if (eliminatedId && m.alive[eliminatedId]) {
+      m.alive[eliminatedId] = false;
+      logMafia(m, 'death', { clientId: eliminatedId, cause: 'lynch' });
+    }
+    logMafia(m, 'dayResult', {
+      votes: { ...votes },
+      tally: fullTally,
+      outcome,
+      tie: outcome === 'tie' || outcome === 'runoff',
+      runoff,
+      eliminatedId,
+    });
+
+    m.lastResult = {
+      type: 'day',
+      outcome,
+      tie: outcome === 'tie' || outcome === 'runoff',
+      eliminated: eliminatedId ? { clientId: eliminatedId, name: api.nameOf(room, eliminatedId) } : null,
+      runoff: runoff ? namedList(room, runoff) : null,
+      tally,
+      votedCount: fullTally.reduce((n, t) => n + t.votes, 0),
+      aliveCount,
+    };
+
+    if (runoff) {
+      m.day = { votes: {}, runoff: { candidates: runoff } };
+      return;
+    }
+
+    // winner?
+    updateWinner(room, eliminatedId ? { type: 'lynch', clientId: eliminatedId } : null);
+
+    if (!m.winnerTeam) {
+      m.round += 1;
+      m.phase = 'night';
+      resetNight(m);
+    }
+
+    resetDay(m);
+  }
+
+  // ----- Actions (mafia:<name> / game:action) -----
+
+  // Most actions need a running, unfinished game.
+  function running(room) {
+    const m = stateOf(room);
+    return m?.started && !m.winnerTeam ? m : null;
+  }
+
+  // mafia:configure errors also go out as mafia:configure:error for older pages.
+  function configureError(ctx, code) {
+    ctx.socket.emit('mafia:configure:error', { message: code });
+    return fail(code);
+  }
+
+  const target = { type: 'string', required: true, max: 100 };
+
+  const actions = {
+    forceResolveNight: {
+      host: true,
+      run(room) {
+        const m = running(room);
+        if (!m) return fail('GAME_NOT_RUNNING');
+        if (m.phase !== 'night') return fail('WRONG_PHASE');
+        advance(room);
+      },
+    },
+
+    forceResolveDay: {
+      host: true,
+      run(room) {
+        const m = running(room);
+        if (!m) return fail('GAME_NOT_RUNNING');
+        if (m.phase !== 'day') return fail('WRONG_PHASE');
+        advance(room);
+      },
+    },
+
+    // Host-configurable settings:
+    //   timers : { role, night, day } in seconds, 0 = no timer
+    //   preset : 'classic' | 'no_doctor' | 'double_mafia'
+    //   roles  : { mafia: 2, doctor: 1, ... } explicit counts for any registry role
+    //            (overrides preset; villagers fill the rest)
+    //   killRule : 'plurality' | 'majority' (see mafiaKillTarget)
+    //   voting : { threshold, tieRule, noLynch, ballot, changeVote } day vote rules (see DEFAULT_VOTING)
+    //   variants : { investigation, lockActions, doctorSelfSave, doctorRepeat } (see DEFAULT_VARIANTS)
+    //   chatPhases : { role, night, day } true = living players may use the room chat
+    //   audienceVotes : spectators may cast advisory day votes (mafia:audienceVote)
+    //   points : { win, survive, correctCheck, save, lynchMafia } hub points (see scores)
+    configure: {
+      host: true,
+      setup: true,
+      schema: {
+        timers: { type: 'object' },
+        preset: { type: 'string', max: 40 },
+        roles: { type: 'object', nullable: true },
+        killRule: { type: 'string', max: 20 },
+        voting: { type: 'object' },
+        variants: { type: 'object' },
+        chatPhases: { type: 'object' },
+        audienceVotes: { type: 'boolean' },
+        points: { type: 'object' },
+      },
+      run(room, ctx, { timers, preset, roles, killRule, voting, variants, chatPhases, audienceVotes, points }) {
+        const settings = ensureSettings(room);
+
+        if (roles !== undefined && roles !== null) {
+          const counts = safeRoleCounts(roles);
+          if (!counts) return configureError(ctx, 'INVALID_ROLE_COUNTS');
+          settings.roles = { preset: 'custom', counts };
+        } else if (preset !== undefined) {
+          const p = safePresetName(preset);
+          if (!p) return configureError(ctx, 'UNKNOWN_PRESET');
+          settings.roles = { preset: p, counts: null };
+        }
+
+        if (killRule !== undefined) {
+          const k = String(killRule || '').trim().toLowerCase();
+          if (k !== 'plurality' && k !== 'majority') return configureError(ctx, 'INVALID_KILL_RULE');
+          settings.killRule = k;
+        }
+
+        if (voting) {
+          const v = safeRules(voting, settings.voting, VOTING_RULES);
+          if (!v) return configureError(ctx, 'INVALID_VOTE_RULES');
+          settings.voting = v;
+        }
+
+        if (variants) {
+          const v = safeRules(variants, settings.variants, VARIANT_RULES);
+          if (!v) return configureError(ctx, 'INVALID_VARIANTS');
+          settings.variants = v;
+        }
+
+        if (chatPhases) {
+          const c = safeRules(chatPhases, settings.chatPhases, CHAT_PHASE_RULES);
+          if (!c) return configureError(ctx, 'INVALID_CHAT_SETTINGS');
+          settings.chatPhases = c;
+        }
+
+        if (audienceVotes !== undefined) settings.audienceVotes = audienceVotes;
+
+        if (timers && typeof timers === 'object') {
+          for (const phase of ['role', 'night', 'day']) {
+            if (timers[phase] !== undefined) settings.timers[phase] = safeSeconds(timers[phase], settings.timers[phase]);
+          }
+        }
+
+        if (points && typeof points === 'object') {
+          for (const item of Object.keys(DEFAULT_POINTS)) {
+            const n = Number(points[item]);
+            if (points[item] !== undefined && Number.isFinite(n)) settings.points[item] = Math.min(Math.max(Math.round(n), -100), 100);
+          }
+        }
+
+        api.touchRoom(room);
+        io.to(room.roomCode).emit('mafia:settings', { roomCode: room.roomCode, settings });
+        pushState(room);
+        return { settings };
+      },
+    },
+
+    pauseTimer: {
+      host: true,
+      run(room) {
+        const t = stateOf(room)?.timer;
+        if (!t || (!t.paused && !t.deadline)) return fail('NO_TIMER');
+        if (t.paused) return;
+
+        t.remainingMs = Math.max(0, t.deadline - Date.now());
+        t.deadline = null;
+        t.paused = true;
+        clearPhaseTimer(room.roomCode);
+
+        api.touchRoom(room);
+        broadcastTimer(room);
+      },
+    },
+
+    resumeTimer: {
+      host: true,
+      run(room) {
+        const t = stateOf(room)?.timer;
+        if (!t) return fail('NO_TIMER');
+        if (!t.paused) return;
+
+        t.deadline = Date.now() + (t.remainingMs || 0);
+        t.remainingMs = null;
+        t.paused = false;
+        armPhaseTimer(room);
+
+        api.touchRoom(room);
+        broadcastTimer(room);
+        maybeAutoAdvance(room);
+      },
+    },
+
+    extendTimer: {
+      host: true,
+      schema: { seconds: { type: 'number', min: 0 } },
+      run(room, ctx, { seconds }) {
+        const t = stateOf(room)?.timer;
+        const add = safeSeconds(seconds, 30) * 1000;
+        if (!t) return fail('NO_TIMER');
+        if (!add) return;
+
+        t.durationMs += add;
+        if (t.paused) {
+          t.remainingMs = (t.remainingMs || 0) + add;
+        } else {
+          // An untimed phase becomes timed when extended.
+          t.deadline = (t.deadline || Date.now()) + add;
+          armPhaseTimer(room);
+        }
+
+        api.touchRoom(room);
+        broadcastTimer(room);
+      },
+    },
+
+    nightAction: {
+      schema: { action: { type: 'string', required: true, max: 20 }, targetId: target },
+      run(room, ctx, { action, targetId }) {
+        const m = running(room);
+        const cid = ctx.clientId;
+        if (!m) return fail('GAME_NOT_RUNNING');
+        if (m.phase !== 'night') return fail('WRONG_PHASE');
+        if (!m.alive[cid]) return fail('NOT_ALIVE');
+
+        const night = getRole(m.assignments[cid])?.night;
+        const act = action.trim().toLowerCase();
+        if (!night || night.action !== act) return fail('NO_NIGHT_ACTION');
+
+        const variants = ensureSettings(room).variants;
+        if (variants.lockActions && m.night.actions[cid]) return fail('ACTION_LOCKED');
+
+        const tgt = targetId.trim();
+        const bad = targetError(room, cid, act, tgt);
+        if (bad) return fail(bad);
+
+        const entry = { action: act, targetId: tgt, at: Date.now() };
+        m.night.actions[cid] = entry;
+        logMafia(m, 'nightAction', { clientId: cid, action: act, targetId: tgt });
+        if (variants.investigation === 'immediate') reveal(m, { actorId: cid, ...entry });
+        if (night.shared) emitToMafiaTeam(room, 'mafia:team', { roomCode: room.roomCode, ...teamState(room) });
+
+        api.touchRoom(room);
+        pushState(room);
+        maybeAutoAdvance(room);
+        return { action: act, targetId: tgt };
+      },
+    },
+
+    // Private mafia chat, night only.
+    teamChat: {
+      schema: { text: { type: 'string', required: true, max: 2000 } },
+      run(room, ctx, { text }) {
+        const m = running(room);
+        const cid = ctx.clientId;
+        if (!m) return fail('GAME_NOT_RUNNING');
+        if (m.phase !== 'night') return fail('WRONG_PHASE');
+        if (teamOf(m.assignments[cid]) !== 'mafia') return fail('NOT_MAFIA');
+        if (!m.alive[cid]) return fail('NOT_ALIVE');
+
+        const msg = api.chatText(room, cid, text);
+        if (isFailure(msg)) return msg;
+
+        const entry = { clientId: cid, name: api.nameOf(room, cid), text: msg, at: Date.now() };
+        if (!m.teamChat) m.teamChat = [];
+        m.teamChat.push(entry);
+        if (m.teamChat.length > 100) m.teamChat.splice(0, m.teamChat.length - 100);
+
+        api.touchRoom(room);
+        emitToMafiaTeam(room, 'mafia:teamChat', { roomCode: room.roomCode, message: entry });
+      },
+    },
+
+    // { targetId } or { noLynch: true } (when settings.voting.noLynch allows it).
+    vote: {
+      schema: { targetId: { type: 'string', max: 100 }, noLynch: { type: 'boolean' } },
+      run(room, ctx, { targetId, noLynch }) {
+        const m = running(room);
+        const cid = ctx.clientId;
+        if (!m) return fail('GAME_NOT_RUNNING');
+        if (m.phase !== 'day') return fail('WRONG_PHASE');
+        if (!m.alive[cid]) return fail('NOT_ALIVE');
+
+        const rules = ensureSettings(room).voting;
+        if (!rules.changeVote && m.day.votes[cid] !== undefined) return fail('VOTE_LOCKED');
+
+        let tgt = NO_LYNCH;
+        if (noLynch) {
+          if (!rules.noLynch) return fail('NO_LYNCH_DISABLED');
+        } else {
+          tgt = String(targetId || '').trim();
+          if (!m.alive[tgt]) return fail('INVALID_TARGET');
+          if (m.day.runoff && !m.day.runoff.candidates.includes(tgt)) return fail('NOT_A_CANDIDATE');
+        }
+
+        m.day.votes[cid] = tgt;
+        logMafia(m, 'vote', { clientId: cid, targetId: tgt === NO_LYNCH ? null : tgt, noLynch: tgt === NO_LYNCH });
+        api.touchRoom(room);
+        pushState(room);
+        maybeAutoAdvance(room);
+        return { targetId: tgt === NO_LYNCH ? null : tgt, noLynch: tgt === NO_LYNCH };
+      },
+    },
+
+    // Spectators only: { targetId }, an advisory pick shown next to the real
+    // tally (vote.audience). It never decides anything.
+    audienceVote: {
+      audience: true,
+      schema: { targetId: target },
+      run(room, ctx, { targetId }) {
+        const m = running(room);
+        if (!m) return fail('GAME_NOT_RUNNING');
+        if (!ensureSettings(room).audienceVotes) return fail('AUDIENCE_VOTES_OFF');
+        if (m.phase !== 'day') return fail('WRONG_PHASE');
+
+        const tgt = targetId.trim();
+        if (!m.alive[tgt]) return fail('INVALID_TARGET');
+        if (m.day.runoff && !m.day.runoff.candidates.includes(tgt)) return fail('NOT_A_CANDIDATE');
+
+        if (!m.day.audienceVotes) m.day.audienceVotes = {};
+        m.day.audienceVotes[ctx.clientId] = tgt;
+        api.touchRoom(room);
+        pushState(room);
+        return { targetId: tgt };
+      },
+    },
+
+    // ===== DEV tools (host-only + dev-only) =====
+
+    revealAll: {
+      host: true,
+      dev: true,
+      run(room, ctx) {
+        const m = stateOf(room);
+        if (!m?.started) return fail('GAME_NOT_RUNNING');
+
+        const list = Object.keys(m.assignments).map((cid) => ({
+          clientId: cid,
+          name: api.nameOf(room, cid),
+          role: m.assignments[cid],
+          team: teamOf(m.assignments[cid]),
+          alive: !!m.alive[cid],
+        }));
+
+        ctx.socket.emit('mafia:reveal', { roomCode: room.roomCode, list });
+        return { list };
+      },
+    },
+
+    setRole: {
+      host: true,
+      dev: true,
+      schema: { targetId: target, role: { type: 'string', required: true, max: 40 } },
+      run(room, ctx, { targetId, role }) {
+        const m = stateOf(room);
+        if (!m?.started) return fail('GAME_NOT_RUNNING');
+
+        const tgt = targetId.trim();
+        if (!m.assignments[tgt]) return fail('INVALID_TARGET');
+        const r = safeRoleName(role);
+        if (!r) return fail('UNKNOWN_ROLE');
+
+        m.assignments[tgt] = r;
+        logMafia(m, 'dev:setRole', { clientId: tgt, role: r });
+        api.touchRoom(room);
+
+        pushStateToAll(room);
+      },
+    },
+
+    toggleAlive: {
+      host: true,
+      dev: true,
+      schema: { targetId: target },
+      run(room, ctx, { targetId }) {
+        const m = stateOf(room);
+        if (!m?.started) return fail('GAME_NOT_RUNNING');
+
+        const tgt = targetId.trim();
+        if (typeof m.alive[tgt] !== 'boolean') return fail('INVALID_TARGET');
+
+        m.alive[tgt] = !m.alive[tgt];
+        logMafia(m, 'dev:toggleAlive', { clientId: tgt, alive: m.alive[tgt] });
+
+        // winner might change
+        updateWinner(room);
+        if (m.winnerTeam) startPhaseTimer(room); // stops the countdown
+        api.touchRoom(room);
+
+        pushStateToAll(room);
+      },
+    },
+  };
+
+  return {
+    id: 'mafia',
+    label: 'Mafia',
+
+    setup: (room) => {
+      ensureSettings(room);
+    },
+    start,
+    publicState,
+    // Also serves as "skip timer": the phase ends now regardless of time left.
+    advance,
+    actions,
+
+    onReconnect: (room, clientId) => emitRoleToPlayer(room, clientId),
+
+    // Someone who left is out of the round: counted as dead, so votes,
+    // thresholds and the win check stop waiting on them.
+    removePlayer(room, clientId) {
+      const m = running(room);
+      if (!m || !m.alive[clientId]) return;
+
+      m.alive[clientId] = false;
+      logMafia(m, 'death', { clientId, cause: 'removed' });
+      updateWinner(room);
+      if (m.winnerTeam) startPhaseTimer(room); // stops the countdown
+      api.touchRoom(room);
+      pushStateToAll(room);
+      maybeAutoAdvance(room);
+    },
+    // Players changed; bots that have not acted this phase still get their turn.
+    notify: (room) => {
+      pushState(room);
+      if (!botTimers.has(room.roomCode)) scheduleBots(room);
+    },
+    stop: (room) => {
+      clearPhaseTimer(room.roomCode);
+      clearBotTimer(room.roomCode);
+    },
+
+    // Living players follow settings.chatPhases; the eliminated only talk in the
+    // graveyard. Players dealt out of this round (late joiners) stay quiet.
+    chatAccess(room, clientId) {
+      const m = running(room);
+      if (!m) return { room: true, graveyard: false };
+      if (m.alive[clientId] === false) return { room: false, graveyard: true };
+      if (m.alive[clientId] !== true) return { room: false, graveyard: false };
+      return { room: !!ensureSettings(room).chatPhases[m.phase], graveyard: false };
+    },
+
+    // Admin view: phase and who is alive; roles only with secrets.
+    inspect(room, { secrets = false } = {}) {
+      const m = stateOf(room);
+      if (!m?.started) return { started: false, settings: ensureSettings(room) };
+      return {
+        started: true,
+        phase: m.phase,
+        round: m.round,
+        winnerTeam: m.winnerTeam,
+        winnerRole: m.winnerRole || null,
+        timer: publicTimer(m),
+        players: Object.keys(m.alive).map((cid) => ({
+          clientId: cid,
+          name: api.nameOf(room, cid),
+          alive: !!m.alive[cid],
+          ...(secrets ? { role: m.assignments[cid], team: teamOf(m.assignments[cid]) } : {}),
+        })),
+        settings: ensureSettings(room),
+      };
+    },
+
+    restore(room) {
+      // Give players a moment to reconnect before a running phase timer fires.
+      const t = stateOf(room)?.timer;
+      if (t && !t.paused && t.deadline) {
+        t.deadline = Math.max(t.deadline, Date.now() + 15 * 1000);
+        armPhaseTimer(room);
+      }
+      scheduleBots(room);
+    },
+  };
+}
+
+module.exports = { createMafiaGame };
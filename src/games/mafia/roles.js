@@ -0,0 +1,185 @@
+/*
+  Mafia role registry
+  -------------------
+  Every role the Mafia game knows about is declared here. The game engine
+  (games/mafia/index.js) never checks role names directly; it asks the registry:
+
+    team        : 'town' | 'mafia' | 'neutral' (which side the role plays for)
+    appearsAs   : team reported to investigators that can be fooled (defaults to team)
+    night       : night action, or null if the role sleeps
+      action    : verb accepted by mafia:nightAction ('kill', 'save', ...)
+      shared    : true if the whole team picks one target together (the mafia kill);
+                  members see each other's picks and the team's pick wins by vote
+      tieBreaker: this role's pick wins a tied shared vote (Godfather)
+      selfTarget: whether the actor may pick themselves (default true)
+      priority  : resolution order at dawn, lower first
+      resolve(ctx, act)  : apply the action at dawn (see resolveNight)
+      reveal(m, act)     : optional; tells the actor something (investigations). Runs
+                           when the action is sent, or at dawn if the room's
+                           variants.investigation is 'dawn'
+    winsOnLynch : the player wins the game by being voted out (Jester)
+
+  Team win conditions live in TEAMS; a role's own condition (winsOnLynch) is
+  checked first.
+
+  To add a role: add an entry below. It can then be dealt through
+  mafia:configure role counts, shows up in mafia:revealAll and in the
+  myRoleInfo field of mafia:state.
+*/
+
+'use strict';
+
+const ROLES = {
+  villager: {
+    label: 'Villager',
+    description: 'Find the mafia and vote them out.',
+    team: 'town',
+    night: null,
+  },
+
+  detective: {
+    label: 'Detective',
+    description: 'Each night, check whether a player is mafia. The Godfather reads as innocent.',
+    team: 'town',
+    night: {
+      action: 'check',
+      priority: 30,
+      reveal(m, act) {
+        const target = ROLES[m.assignments[act.targetId]];
+        m.investigations[act.actorId] = {
+          targetId: act.targetId,
+          round: m.round,
+          isMafia: (target?.appearsAs || target?.team) === 'mafia',
+        };
+      },
+    },
+  },
+
+  sheriff: {
+    label: 'Sheriff',
+    description:
+      'Each night, check whether a player is suspicious (not town). Sees through the Godfather, but cannot tell mafia from neutral roles.',
+    team: 'town',
+    night: {
+      action: 'check',
+      priority: 30,
+      reveal(m, act) {
+        const target = ROLES[m.assignments[act.targetId]];
+        m.investigations[act.actorId] = {
+          targetId: act.targetId,
+          round: m.round,
+          isMafia: target?.team === 'mafia',
+          suspicious: target?.team !== 'town',
+        };
+      },
+    },
+  },
+
+  doctor: {
+    label: 'Doctor',
+    description: 'Each night, save one player from being killed.',
+    team: 'town',
+    night: {
+      action: 'save',
+      priority: 10,
+      resolve(ctx, act) {
+        if (!ctx.savedBy[act.targetId]) ctx.savedBy[act.targetId] = [];
+        ctx.savedBy[act.targetId].push(act.actorId);
+      },
+    },
+  },
+
+  bodyguard: {
+    label: 'Bodyguard',
+    description: 'Each night, guard another player. If they are attacked, you die in their place.',
+    team: 'town',
+    night: {
+      action: 'guard',
+      selfTarget: false,
+      priority: 10,
+      resolve(ctx, act) {
+        if (!ctx.guardedBy[act.targetId]) ctx.guardedBy[act.targetId] = act.actorId;
+      },
+    },
+  },
+
+  mafia: {
+    label: 'Mafia',
+    description: 'Each night, choose someone to kill with your team.',
+    team: 'mafia',
+    night: { action: 'kill', shared: true, priority: 20 },
+  },
+
+  godfather: {
+    label: 'Godfather',
+    description: 'Leads the mafia kill and breaks ties. Reads as innocent to the Detective.',
+    team: 'mafia',
+    appearsAs: 'town',
+    night: { action: 'kill', shared: true, tieBreaker: true, priority: 20 },
+  },
+
+  jester: {
+    label: 'Jester',
+    description: 'You win if the town votes you out.',
+    team: 'neutral',
+    night: null,
+    winsOnLynch: true,
+  },
+};
+
+/**
+ * Team win conditions, checked in order. aliveByTeam counts alive players per team.
+ */
+const TEAMS = {
+  town: {
+    label: 'Town',
+    wins: (aliveByTeam) => (aliveByTeam.mafia || 0) === 0,
+  },
+  mafia: {
+    label: 'Mafia',
+    wins: (aliveByTeam, aliveCount) => {
+      const mafia = aliveByTeam.mafia || 0;
+      return mafia > 0 && mafia >= aliveCount - mafia;
+    },
+  },
+  neutral: {
+    label: 'Neutral',
+    wins: () => false,
+  },
+};
+
+function getRole(name) {
+  return Object.prototype.hasOwnProperty.call(ROLES, name) ? ROLES[name] : null;
+}
+
+function teamOf(name) {
+  return getRole(name)?.team || null;
+}
+
+function safeRoleName(x) {
+  const r = String(x || '').trim().toLowerCase();
+  return getRole(r) ? r : null;
+}
+
+// What clients are told about a role (no functions).
+function publicRoleInfo(name) {
+  const role = getRole(name);
+  if (!role) return null;
+  return {
+    role: name,
+    label: role.label,
+    description: role.description,
+    team: role.team,
+    nightAction: role.night?.action || null,
+    canTargetSelf: role.night ? role.night.selfTarget !== false : false,
+  };
+}
+
+module.exports = {
+  ROLES,
+  TEAMS,
+  getRole,
+  teamOf,
+  safeRoleName,
+  publicRoleInfo,
+};
@@ -0,0 +1,515 @@
+/*
+  Trivia
+  ------
+  Game module (see games/index.js). Multiple-choice questions from JSON packs
+  (see ./packs.js). Each question runs a "question" phase (players answer, one
+  locked-in answer each) and a "reveal" phase (correct answer + points), then
+  the next question. Correct answers score by difficulty plus a speed bonus.
+  Bot players (host:addBot) never answer, so they are left out of the counts.
+
+  ENV (defaults for new rooms; the host can change them with trivia:configure):
+    TRIVIA_PACKS_DIR        : Directory of question pack JSON files (default src/games/trivia/packs)
+    TRIVIA_QUESTION_SECONDS : Time to answer (default 20, 0 = host advances manually)
+    TRIVIA_REVEAL_SECONDS   : How long the answer stays up (default 6, 0 = host advances manually)
+*/
+
+'use strict';
+
+const path = require('path');
+const { DIFFICULTIES, loadPacks, packSummary } = require('./packs');
+const { fail } = require('../../protocol');
+const { envNumber } = require('../../env');
+
+const PACKS_DIR = path.resolve(String(process.env.TRIVIA_PACKS_DIR || path.join(__dirname, 'packs')));
+
+const DEFAULT_TIMERS = {
+  question: envNumber('TRIVIA_QUESTION_SECONDS', 20),
+  reveal: envNumber('TRIVIA_REVEAL_SECONDS', 6),
+};
+
+// Hub scoreboard points per correct answer: base by difficulty, plus up to
+// speedBonus for answering fast (scaled by time left, or by answer order when untimed).
+const DEFAULT_POINTS = { easy: 1, medium: 2, hard: 3, speedBonus: 2 };
+
+const DEFAULT_QUESTION_COUNT = 10;
+
+function safeSeconds(x, fallback) {
+  const n = Math.floor(Number(x));
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(Math.max(n, 0), 10 * 60);
+}
+
+function shuffle(list) {
+  const out = list.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+function createTriviaGame(api) {
+  const { io } = api;
+  const packs = loadPacks(PACKS_DIR);
+  if (!packs.size) console.error(`[trivia] no valid question packs in ${PACKS_DIR}`);
+
+  function stateOf(room) {
+    return room.games?.trivia || null;
+  }
+
+  /**
+   * room.gameSettings.trivia: {
+   *   pack: string,                         // pack id
+   *   categories: string[] | null,          // null = every category in the pack
+   *   difficulty: 'easy'|'medium'|'hard'|null,   // null = any
+   *   questionCount: number,
+   *   timers: { question, reveal },         // seconds, 0 = host advances manually
+   *   points: { easy, medium, hard, speedBonus },
+   * }
+   */
+  function ensureSettings(room) {
+    if (!room.gameSettings) room.gameSettings = {};
+    if (!room.gameSettings.trivia) room.gameSettings.trivia = {};
+    const s = room.gameSettings.trivia;
+    if (!s.pack || !packs.has(s.pack)) s.pack = packs.keys().next().value || null;
+    if (s.categories === undefined) s.categories = null;
+    if (s.difficulty === undefined) s.difficulty = null;
+    if (!s.questionCount) s.questionCount = DEFAULT_QUESTION_COUNT;
+    if (!s.timers) s.timers = { ...DEFAULT_TIMERS };
+    if (!s.points) s.points = { ...DEFAULT_POINTS };
+    return s;
+  }
+
+  // Questions matching the room's pack / category / difficulty filters.
+  function eligibleQuestions(room) {
+    const s = ensureSettings(room);
+    const pack = packs.get(s.pack);
+    if (!pack) return [];
+    return pack.questions.filter(
+      (q) => (!s.categories || s.categories.includes(q.category)) && (!s.difficulty || q.difficulty === s.difficulty)
+    );
+  }
+
+  // Each viewer gets their own publicState, versioned (see State pushes in index.js).
+  function pushState(room) {
+    api.pushState(room, 'trivia');
+  }
+
+  // ----- Phase timers -----
+  // Same scheme as Mafia: m.timer is plain data, the setTimeout handles live here.
+
+  const phaseTimers = new Map();
+
+  function clearPhaseTimer(roomCode) {
+    const t = phaseTimers.get(roomCode);
+    if (t) clearTimeout(t);
+    phaseTimers.delete(roomCode);
+  }
+
+  function armPhaseTimer(room) {
+    const roomCode = room.roomCode;
+    const m = stateOf(room);
+    clearPhaseTimer(roomCode);
+    if (!m?.timer?.deadline) return;
+
+    const { phase, index } = m.timer;
+    const t = setTimeout(() => {
+      phaseTimers.delete(roomCode);
+      const r = api.getRoom(roomCode);
+      const rm = r && stateOf(r);
+      if (!rm?.started || rm.phase !== phase || rm.index !== index) return;
+      advance(r);
+    }, Math.max(0, m.timer.deadline - Date.now()));
+    t.unref();
+    phaseTimers.set(roomCode, t);
+  }
+
+  function startPhaseTimer(room) {
+    const m = stateOf(room);
+    const seconds = m.phase === 'over' ? 0 : ensureSettings(room).timers[m.phase] || 0;
+    m.timer = {
+      phase: m.phase,
+      index: m.index,
+      startedAt: Date.now(),
+      durationMs: seconds * 1000,
+      deadline: seconds > 0 ? Date.now() + seconds * 1000 : null,
+    };
+    armPhaseTimer(room);
+  }
+
+  function publicTimer(m) {
+    const t = m?.timer;
+    if (!t || !t.deadline) return null;
+    return {
+      phase: t.phase,
+      index: t.index,
+      durationMs: t.durationMs,
+      deadline: t.deadline,
+      remainingMs: Math.max(0, t.deadline - Date.now()),
+      serverNow: Date.now(),
+    };
+  }
+
+  // ----- Flow -----
+
+  function currentQuestion(m) {
+    return m.questions[m.index] || null;
+  }
+
+  // Score the current question's answers; the fastest correct answers earn the most.
+  function scoreQuestion(room) {
+    const m = stateOf(room);
+    const q = currentQuestion(m);
+    const points = ensureSettings(room).points;
+    const t = m.timer;
+
+    const correct = Object.entries(m.answers)
+      .filter(([, a]) => a.choice === q.answer)
+      .sort(([, a], [, b]) => a.at - b.at);
+
+    for (const a of Object.values(m.answers)) a.correct = a.choice === q.answer;
+    const earned = {};
+    correct.forEach(([cid, a], rank) => {
+      const speed = t?.durationMs
+        ? Math.max(0, 1 - (a.at - t.startedAt) / t.durationMs)
+        : 1 - rank / correct.length;
+      a.points = (points[q.difficulty] || 0) + Math.round((points.speedBonus || 0) * speed);
+      m.scores[cid] = (m.scores[cid] || 0) + a.points;
+      earned[cid] = a.points;
+    });
+    // On the hub scoreboard now, not at the end: a round cut short keeps them.
+    api.addPoints(room, earned);
+
+    m.results.push({
+      questionId: q.id,
+      category: q.category,
+      difficulty: q.difficulty,
+      question: q.question,
+      choices: q.choices,
+      answer: q.answer,
+      answers: Object.entries(m.answers).map(([cid, a]) => ({
+        clientId: cid,
+        name: api.nameOf(room, cid),
+        choice: a.choice,
+        correct: a.correct,
+        points: a.points || 0,
+        ms: t ? a.at - t.startedAt : null,
+      })),
+    });
+  }
+
+  // question -> reveal -> next question ... -> over
+  function advance(room) {
+    const m = stateOf(room);
+    if (!m?.started || m.phase === 'over') return;
+
+    if (m.phase === 'question') {
+      scoreQuestion(room);
+      m.phase = 'reveal';
+    } else if (m.index + 1 < m.questions.length) {
+      m.index += 1;
+      m.answers = {};
+      m.phase = 'question';
+    } else {
+      m.phase = 'over';
+    }
+
+    startPhaseTimer(room);
+    if (m.phase === 'over') endGame(room);
+    api.touchRoom(room);
+    pushState(room);
+  }
+
+  function leaderboard(room) {
+    const m = stateOf(room);
+    const ids = new Set([...Object.keys(m.scores), ...room.players.keys()]);
+    return Array.from(ids)
+      .map((cid) => ({ clientId: cid, name: api.nameOf(room, cid), score: m.scores[cid] || 0 }))
+      .sort((a, b) => b.score - a.score || String(a.name).localeCompare(String(b.name)));
+  }
+
+  function endGame(room) {
+    const m = stateOf(room);
+    m.endedAt = Date.now();
+
+    const board = leaderboard(room);
+    const top = board.length ? board[0].score : 0;
+    const winners = top > 0 ? board.filter((e) => e.score === top).map((e) => e.clientId) : [];
+
+    // Same shape as the other games: clientId -> { total, ...breakdown }.
+    const earned = {};
+    for (const r of m.results) {
+      for (const a of r.answers) {
+        if (!a.correct) continue;
+        const e = earned[a.clientId] || (earned[a.clientId] = { total: 0, correct: 0 });
+        e.total += a.points;
+        e.correct += 1;
+      }
+    }
+
+    const full = {
+      game: 'trivia',
+      roomCode: room.roomCode,
+      pack: m.pack,
+      startedAt: m.startedAt,
+      endedAt: m.endedAt,
+      winners,
+      leaderboard: board,
+      questions: m.results,
+      scores: earned,
+    };
+    api.recordGameEnd(room, 'trivia', { summary: { pack: m.pack.id, winners }, scores: earned, report: full, pointsAdded: true });
+    io.to(room.roomCode).emit('trivia:gameOver', { roomCode: room.roomCode, report: full });
+  }
+
+  function publicState(room, viewerClientId) {
+    const roomCode = room.roomCode;
+    const m = stateOf(room);
+
+    if (!m || !m.started) {
+      return {
+        roomCode,
+        started: false,
+        phase: null,
+        packs: Array.from(packs.values()).map(packSummary),
+        settings: ensureSettings(room),
+        // How many questions the current filters leave to draw from.
+        availableQuestions: eligibleQuestions(room).length,
+        canAdvance: false,
+        report: null,
+      };
+    }
+
+    const q = currentQuestion(m);
+    const revealed = m.phase !== 'question';
+    const mine = m.answers[viewerClientId] || null;
+
+    // Choice counts are only shown once answers are locked, so they can't be copied.
+    let reveal = null;
+    if (revealed && q) {
+      const counts = q.choices.map(() => 0);
+      for (const a of Object.values(m.answers)) counts[a.choice] += 1;
+      reveal = { answer: q.answer, counts, results: m.results[m.results.length - 1]?.answers || [] };
+    }
+
+    return {
+      roomCode,
+      started: true,
+      phase: m.phase,
+      pack: m.pack,
+      index: m.index,
+      total: m.questions.length,
+      question: q
+        ? { id: q.id, category: q.category, difficulty: q.difficulty, question: q.question, choices: q.choices }
+        : null,
+      answeredCount: Object.keys(m.answers).length,
+      playerCount: answerers(room).length,
+      myAnswer: mine ? { choice: mine.choice, ...(revealed ? { correct: !!mine.correct, points: mine.points || 0 } : {}) } : null,
+      reveal,
+      leaderboard: leaderboard(room),
+      timer: publicTimer(m),
+      canAdvance: !!viewerClientId && viewerClientId === room.hostClientId,
+      settings: ensureSettings(room),
+      report: m.phase === 'over' ? room.gameReports?.trivia || null : null,
+    };
+  }
+
+  // Players expected to answer: everyone but bots.
+  function answerers(room) {
+    return Array.from(room.players.values())
+      .filter((p) => !p.bot)
+      .map((p) => p.clientId);
+  }
+
+  function start(room) {
+    if (answerers(room).length < 1) return fail('NEED_MIN_PLAYERS', { minPlayers: 1 });
+
+    const s = ensureSettings(room);
+    const pack = packs.get(s.pack);
+    if (!pack) return fail('UNKNOWN_PACK', { packs: Array.from(packs.keys()) });
+
+    const pool = eligibleQuestions(room);
+    if (!pool.length) return fail('NO_QUESTIONS');
+
+    room.games.trivia = {
+      started: true,
+      startedAt: Date.now(),
+      pack: { id: pack.id, name: pack.name },
+      // Drawn up front so a restart or pack edit can't change the running game.
+      questions: shuffle(pool).slice(0, s.questionCount),
+      index: 0,
+      phase: 'question',
+      answers: {}, // clientId -> { choice, at, correct?, points? } for the current question
+      results: [], // one entry per revealed question
+      scores: {}, // clientId -> points this game
+      timer: null,
+    };
+
+    startPhaseTimer(room);
+    pushState(room);
+    return { ok: true };
+  }
+
+  // ----- Actions (trivia:<name> / game:action) -----
+
+  // trivia:configure errors also go out as trivia:configure:error for older pages.
+  function configureError(ctx, code, details) {
+    ctx.socket.emit('trivia:configure:error', { message: code, ...details });
+    return fail(code, details);
+  }
+
+  const actions = {
+    // Host-configurable settings:
+    //   pack          : pack id (see publicState().packs)
+    //   categories    : array of category names from that pack, or null for all
+    //   difficulty    : 'easy' | 'medium' | 'hard' | null for any
+    //   questionCount : 1..50
+    //   timers        : { question, reveal } in seconds, 0 = no timer
+    //   points        : { easy, medium, hard, speedBonus }
+    configure: {
+      host: true,
+      setup: true,
+      schema: {
+        pack: { type: 'string', max: 40 },
+        categories: { type: 'array', max: 50, nullable: true },
+        difficulty: { type: 'string', max: 20, nullable: true },
+        questionCount: { type: 'number' },
+        timers: { type: 'object' },
+        points: { type: 'object' },
+      },
+      run(room, ctx, { pack, categories, difficulty, questionCount, timers, points }) {
+        const settings = ensureSettings(room);
+
+        if (pack !== undefined) {
+          const id = String(pack || '').trim().toLowerCase();
+          if (!packs.has(id)) return configureError(ctx, 'UNKNOWN_PACK');
+          if (id !== settings.pack) settings.categories = null;
+          settings.pack = id;
+        }
+
+        if (categories !== undefined) {
+          if (categories === null || (Array.isArray(categories) && !categories.length)) {
+            settings.categories = null;
+          } else {
+            const known = packSummary(packs.get(settings.pack)).categories;
+            const list = Array.isArray(categories) ? categories.map((c) => String(c).trim()) : [];
+            if (!list.length || !list.every((c) => known.includes(c))) {
+              return configureError(ctx, 'UNKNOWN_CATEGORY', { categories: known });
+            }
+            settings.categories = Array.from(new Set(list));
+          }
+        }
+
+        if (difficulty !== undefined) {
+          const d = difficulty === null ? null : String(difficulty).trim().toLowerCase();
+          if (d && !DIFFICULTIES.includes(d)) return configureError(ctx, 'INVALID_DIFFICULTY');
+          settings.difficulty = d || null;
+        }
+
+        if (questionCount !== undefined) {
+          const n = Math.floor(Number(questionCount));
+          if (Number.isFinite(n)) settings.questionCount = Math.min(Math.max(n, 1), 50);
+        }
+
+        if (timers && typeof timers === 'object') {
+          for (const phase of ['question', 'reveal']) {
+            if (timers[phase] !== undefined) settings.timers[phase] = safeSeconds(timers[phase], settings.timers[phase]);
+          }
+        }
+
+        if (points && typeof points === 'object') {
+          for (const item of Object.keys(DEFAULT_POINTS)) {
+            const n = Number(points[item]);
+            if (points[item] !== undefined && Number.isFinite(n)) settings.points[item] = Math.min(Math.max(Math.round(n), 0), 100);
+          }
+        }
+
+        api.touchRoom(room);
+        io.to(room.roomCode).emit('trivia:settings', { roomCode: room.roomCode, settings });
+        pushState(room);
+        return { settings };
+      },
+    },
+
+    // { choice } index into the current question's choices. First answer is final.
+    answer: {
+      schema: { choice: { type: 'integer', required: true, min: 0 } },
+      run(room, ctx, { choice }) {
+        const m = stateOf(room);
+        const cid = ctx.clientId;
+        if (!m?.started || m.phase === 'over') return fail('GAME_NOT_RUNNING');
+        if (m.phase !== 'question') return fail('WRONG_PHASE');
+        if (!room.players.has(cid)) return fail('NOT_A_PLAYER');
+        if (m.answers[cid]) return fail('ALREADY_ANSWERED');
+
+        const q = currentQuestion(m);
+        if (choice >= q.choices.length) return fail('INVALID_CHOICE');
+
+        m.answers[cid] = { choice, at: Date.now() };
+        api.touchRoom(room);
+
+        // Everyone in: no point waiting out the clock.
+        const everyone = answerers(room).every((id) => m.answers[id]);
+        if (everyone) advance(room);
+        else pushState(room);
+        return { choice };
+      },
+    },
+  };
+
+  return {
+    id: 'trivia',
+    label: 'Trivia',
+
+    // A player who left no longer counts as answered; the rest may all be in now.
+    removePlayer(room, clientId) {
+      const m = stateOf(room);
+      if (!m?.started || m.phase !== 'question') return;
+      delete m.answers[clientId];
+      api.touchRoom(room);
+      if (answerers(room).every((id) => m.answers[id])) advance(room);
+      else pushState(room);
+    },
+
+    setup: (room) => {
+      ensureSettings(room);
+    },
+    start,
+    publicState,
+    // Host "next": ends the question early / skips the reveal.
+    advance,
+    actions,
+
+    notify: (room) => pushState(room),
+    stop: (room) => clearPhaseTimer(room.roomCode),
+
+    // Admin view; the current answer only with secrets.
+    inspect(room, { secrets = false } = {}) {
+      const m = stateOf(room);
+      if (!m?.started) return { started: false, settings: ensureSettings(room) };
+      const q = currentQuestion(m);
+      return {
+        started: true,
+        phase: m.phase,
+        pack: m.pack,
+        index: m.index,
+        total: m.questions.length,
+        question: q ? q.question : null,
+        ...(secrets && q ? { answer: q.choices[q.answer] } : {}),
+        answeredCount: Object.keys(m.answers).length,
+        timer: publicTimer(m),
+        leaderboard: leaderboard(room),
+      };
+    },
+
+    restore(room) {
+      const t = stateOf(room)?.timer;
+      if (t?.deadline) {
+        t.deadline = Math.max(t.deadline, Date.now() + 15 * 1000);
+        armPhaseTimer(room);
+      }
+    },
+  };
+}
+
+module.exports = { createTriviaGame };
@@ -0,0 +1,140 @@
+/*
+  Trivia question packs
+  ---------------------
+  One JSON file per pack in the packs directory (default ./packs next to this
+  file, or TRIVIA_PACKS_DIR):
+
+    {
+      "id": "general",                      // optional, defaults to the file name
+      "name": "General Knowledge",
+      "description": "...",                 // optional
+      "questions": [
+        {
+          "category": "Geography",
+          "difficulty": "easy",             // easy | medium | hard
+          "question": "What is the capital of Japan?",
+          "choices": ["Osaka", "Tokyo", "Kyoto", "Nagoya"],   // 2-6 entries
+          "answer": 1                       // index into choices
+        }
+      ]
+    }
+
+  Packs are validated on load; a pack with any invalid question is skipped and
+  the problems are logged, so a typo never reaches players mid-game.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+function isText(x, max) {
+  return typeof x === 'string' && x.trim().length > 0 && x.length <= max;
+}
+
+/**
+ * Validate raw pack JSON. Returns { pack, errors }; pack is null when errors is non-empty.
+ */
+function validatePack(raw, fallbackId) {
+  const errors = [];
+  if (!raw || typeof raw !== 'object') return { pack: null, errors: ['pack must be an object'] };
+
+  const id = String(raw.id || fallbackId || '').trim().toLowerCase();
+  if (!/^[a-z0-9_-]{1,40}$/.test(id)) errors.push('id must be 1-40 chars of a-z, 0-9, _ or -');
+  if (!isText(raw.name, 80)) errors.push('name is required (max 80 chars)');
+  if (!Array.isArray(raw.questions) || raw.questions.length === 0) errors.push('questions must be a non-empty array');
+
+  const questions = [];
+  (Array.isArray(raw.questions) ? raw.questions : []).forEach((q, i) => {
+    const at = `questions[${i}]`;
+    if (!q || typeof q !== 'object') return errors.push(`${at} must be an object`);
+    if (!isText(q.question, 300)) errors.push(`${at}.question is required (max 300 chars)`);
+    if (!isText(q.category, 40)) errors.push(`${at}.category is required (max 40 chars)`);
+    if (!DIFFICULTIES.includes(q.difficulty)) errors.push(`${at}.difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+
+    const choices = Array.isArray(q.choices) ? q.choices : [];
+    if (choices.length < 2 || choices.length > 6) errors.push(`${at}.choices must have 2-6 entries`);
+    if (!choices.every((c) => isText(c, 120))) errors.push(`${at}.choices must be non-empty strings (max 120 chars)`);
+    if (new Set(choices.map((c) => String(c).trim().toLowerCase())).size !== choices.length) {
+      errors.push(`${at}.choices must be distinct`);
+    }
+    if (!Number.isInteger(q.answer) || q.answer < 0 || q.answer >= choices.length) {
+      errors.push(`${at}.answer must be an index into choices`);
+    }
+
+    questions.push({
+      id: `${id}:${i}`,
+      category: String(q.category || '').trim(),
+      difficulty: q.difficulty,
+      question: String(q.question || '').trim(),
+      choices: choices.map((c) => String(c).trim()),
+      answer: q.answer,
+    });
+  });
+
+  if (errors.length) return { pack: null, errors };
+
+  return {
+    pack: {
+      id,
+      name: raw.name.trim(),
+      description: isText(raw.description, 300) ? raw.description.trim() : '',
+      questions,
+    },
+    errors: [],
+  };
+}
+
+/**
+ * Load every *.json pack in dir. Returns Map<id, pack>; invalid packs are logged and skipped.
+ */
+function loadPacks(dir) {
+  const packs = new Map();
+
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter((f) => f.endsWith('.json')).sort();
+  } catch (err) {
+    console.error(`[trivia] cannot read packs dir ${dir}:`, err.message);
+    return packs;
+  }
+
+  for (const file of files) {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (err) {
+      console.error(`[trivia] ${file}: invalid JSON (${err.message})`);
+      continue;
+    }
+
+    const { pack, errors } = validatePack(raw, path.basename(file, '.json'));
+    if (!pack) {
+      console.error(`[trivia] ${file}: skipped\n  - ${errors.join('\n  - ')}`);
+      continue;
+    }
+    if (packs.has(pack.id)) {
+      console.error(`[trivia] ${file}: duplicate pack id "${pack.id}", skipped`);
+      continue;
+    }
+    packs.set(pack.id, pack);
+  }
+
+  return packs;
+}
+
+// What hosts see when picking a pack.
+function packSummary(pack) {
+  return {
+    id: pack.id,
+    name: pack.name,
+    description: pack.description,
+    questionCount: pack.questions.length,
+    categories: Array.from(new Set(pack.questions.map((q) => q.category))).sort(),
+    difficulties: DIFFICULTIES.filter((d) => pack.questions.some((q) => q.difficulty === d)),
+  };
+}
+
+module.exports = { DIFFICULTIES, validatePack, loadPacks, packSummary };
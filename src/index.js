@@ -6,22 +6,138 @@
   ENV:
     PORT        : Port to listen on (default 3000)
     SITE_ORIGIN : Primary allowed website origin (default https://www.gamehub4u.com)
-
-  This file is intentionally self-contained (no build step).
+    JOIN_URL_TEMPLATE : Join link encoded in room QR codes; {code} is replaced by the room
+                        code (default SITE_ORIGIN + /join?room={code})
+    ROOM_IDLE_TTL_SECONDS      : Close rooms with no activity for this long (default 14400 = 4h, 0 = never)
+    ROOM_EMPTY_GRACE_SECONDS   : Close rooms this long after host + all players disconnect
+                                 (default 300, 0 = at the next sweep)
+    ROOM_SWEEP_INTERVAL_SECONDS: How often abandoned rooms are checked (default 60, 0 = never)
+    ROOM_STORE  : Where rooms live: "memory" (default), "file" (survives restarts) or
+                  "shared" (several instances behind one load balancer; see below)
+    ROOM_STORE_FILE : Snapshot path for ROOM_STORE=file (default ./data/rooms.json)
+    CLUSTER_BACKEND : For ROOM_STORE=shared: "redis" or "local" (default; instances in the
+                      same process only, for tests). See cluster.js
+    REDIS_URL       : Redis for CLUSTER_BACKEND=redis (default redis://127.0.0.1:6379)
+    CLUSTER_PREFIX  : Key / channel prefix, to run several clusters on one Redis (default jackbox:)
+    INSTANCE_ID     : Name of this instance in /info, logs and X-Instance-Id (default hostname-random)
+    SESSION_SECRET  : Key that signs session tokens (see sessions.js). Unset = with
+                      ROOM_STORE=file a key generated once into session.key next to the
+                      snapshot; with memory a random key per process (tokens die with it);
+                      required for ROOM_STORE=shared with CLUSTER_BACKEND=redis
+    SESSION_TTL_SECONDS : How long a session token stays valid (default 604800 = 7 days)
+    RATE_LIMITS     : Per-event limit overrides as JSON (see rateLimit.js), e.g.
+                      {"mafia:vote":{"socket":[5,10],"ip":[50,10]}}  ([count, seconds])
+    MAX_PAYLOAD_BYTES    : Largest accepted event payload (default 16384)
+    MAX_ROOMS_PER_CLIENT : Open rooms one host session may have (default 3)
+    MAX_ROOMS_PER_IP     : Open rooms hosted from one IP (default 10)
+    ROOM_MAX_PLAYERS     : Player cap for new rooms; hosts can change it up to 100 (default 20)
+    ROOM_MAX_AUDIENCE    : Spectators one room may have (default 100)
+    HOST_ABSENCE_SECONDS : Promote the longest-connected player after the host has been gone
+                           this long (default 60, 0 = never)
+    CHAT_MAX_LENGTH    : Longest chat message for new rooms (default 200; hosts can change it)
+    CHAT_BLOCKED_WORDS : Comma-separated words masked in chat for new rooms (hosts can change them)
+    TRUST_PROXY : "1" = take the client IP from X-Forwarded-For (behind a load balancer)
+    ADMIN_TOKEN : Enables the operator API at /admin (see admin.js); send it as a Bearer token
+    METRICS_TOKEN : If set, /metrics (Prometheus) requires it as a Bearer token
+    MAFIA_ROLE_SECONDS  : Default length of the Mafia role-reveal phase (default 15, 0 = no timer)
+    MAFIA_NIGHT_SECONDS : Default length of a Mafia night (default 60, 0 = no timer)
+    MAFIA_DAY_SECONDS   : Default length of a Mafia day (default 120, 0 = no timer)
+    MAFIA_POINTS        : Default hub points for Mafia results as JSON, e.g.
+                          {"win":3,"survive":1,"correctCheck":1,"save":2,"lynchMafia":1}
+    MAFIA_BOT_DELAY_MS  : Bot players act between this and twice this long into a phase (default 1500)
+    TRIVIA_PACKS_DIR        : Directory of Trivia question packs (default src/games/trivia/packs)
+    TRIVIA_QUESTION_SECONDS : Default time to answer a Trivia question (default 20, 0 = no timer)
+    TRIVIA_REVEAL_SECONDS   : Default time the Trivia answer is shown (default 6, 0 = no timer)
+
+  This file owns rooms, the hub and the sockets. Each game is a module under
+  src/games/ (see games/index.js). Every client event answers through a
+  Socket.IO ack; see protocol.js for the response shape and error codes.
+  Plain CommonJS, no build step.
+
+  Several instances: set ROOM_STORE=shared and CLUSTER_BACKEND=redis on all of
+  them. Rooms, broadcasts and socket joins are shared; phase timers run on the
+  instance that started the phase. The load balancer must keep each Socket.IO
+  connection on one instance (sticky sessions) because HTTP long-polling sends
+  every request separately; every instance also needs the same SESSION_SECRET.
+  GET /info reports the instance and these requirements.
 */
 
 'use strict';
 
+const os = require('os');
+const crypto = require('crypto');
 const path = require('path');
 const http = require('http');
 const express = require('express');
 const { Server } = require('socket.io');
-
-const PORT = Number(process.env.PORT || 3000);
+const QRCode = require('qrcode');
+const { createRoomStore } = require('./roomStore');
+const { createCluster, createClusterAdapter } = require('./cluster');
+const { createSessions, loadKeyFile } = require('./sessions');
+const { envNumber } = require('./env');
+const { fail, isFailure, validate, fields } = require('./protocol');
+const { createRateLimiter } = require('./rateLimit');
+const { CHANNELS, ensureChat, safeChatSettings, cleanText, addMessage } = require('./chat');
+const { createAdminRouter } = require('./admin');
+const { createMetrics } = require('./metrics');
+const { createGameRegistry } = require('./games');
+const { createMafiaGame } = require('./games/mafia');
+const { createTriviaGame } = require('./games/trivia');
+
+const PORT = envNumber('PORT', 3000);
 const SITE_ORIGIN = String(process.env.SITE_ORIGIN || 'https://www.gamehub4u.com');
+const JOIN_URL_TEMPLATE = String(process.env.JOIN_URL_TEMPLATE || `${SITE_ORIGIN.replace(/\/+$/, '')}/join?room={code}`);
+const ROOM_IDLE_TTL_MS = envNumber('ROOM_IDLE_TTL_SECONDS', 4 * 60 * 60) * 1000;
+const ROOM_EMPTY_GRACE_MS = envNumber('ROOM_EMPTY_GRACE_SECONDS', 5 * 60) * 1000;
+const ROOM_SWEEP_INTERVAL_MS = envNumber('ROOM_SWEEP_INTERVAL_SECONDS', 60) * 1000;
+const ROOM_STORE = String(process.env.ROOM_STORE || 'memory');
+const ROOM_STORE_FILE = path.resolve(String(process.env.ROOM_STORE_FILE || path.join(__dirname, '..', 'data', 'rooms.json')));
+const CLUSTERED = ROOM_STORE.trim().toLowerCase() === 'shared';
+const CLUSTER_BACKEND = String(process.env.CLUSTER_BACKEND || 'local');
+const REDIS_URL = String(process.env.REDIS_URL || 'redis://127.0.0.1:6379');
+const CLUSTER_PREFIX = String(process.env.CLUSTER_PREFIX || 'jackbox:');
+const INSTANCE_ID = String(process.env.INSTANCE_ID || `${os.hostname()}-${crypto.randomBytes(3).toString('hex')}`);
+const SESSION_TTL_MS = envNumber('SESSION_TTL_SECONDS', 7 * 24 * 60 * 60) * 1000;
+
+const MAX_PAYLOAD_BYTES = envNumber('MAX_PAYLOAD_BYTES', 16 * 1024);
+const MAX_ROOMS_PER_CLIENT = envNumber('MAX_ROOMS_PER_CLIENT', 3);
+const MAX_ROOMS_PER_IP = envNumber('MAX_ROOMS_PER_IP', 10);
+const ROOM_MAX_PLAYERS = envNumber('ROOM_MAX_PLAYERS', 20);
+const ROOM_MAX_AUDIENCE = envNumber('ROOM_MAX_AUDIENCE', 100);
+// How bot players pick; games interpret them (see games/mafia/bots.js).
+const BOT_BEHAVIORS = ['random', 'smart'];
+const HOST_ABSENCE_MS = envNumber('HOST_ABSENCE_SECONDS', 60) * 1000;
+const CHAT_DEFAULTS = {
+  maxLength: envNumber('CHAT_MAX_LENGTH', 200),
+  blockedWords: String(process.env.CHAT_BLOCKED_WORDS || ''),
+};
+const TRUST_PROXY = process.env.TRUST_PROXY === '1';
+const ADMIN_TOKEN = String(process.env.ADMIN_TOKEN || '');
+const METRICS_TOKEN = String(process.env.METRICS_TOKEN || '');
+
+// Persisted rooms are useless if their hosts' and players' tokens stop verifying.
+function sessionSecret() {
+  const configured = String(process.env.SESSION_SECRET || '');
+  if (configured) return configured;
+  if (ROOM_STORE.trim().toLowerCase() === 'file') return loadKeyFile(path.join(path.dirname(ROOM_STORE_FILE), 'session.key'));
+  if (CLUSTERED && CLUSTER_BACKEND.trim().toLowerCase() === 'redis') {
+    console.error('SESSION_SECRET is required with ROOM_STORE=shared and CLUSTER_BACKEND=redis');
+    process.exit(1);
+  }
+  return '';
+}
+
+const sessions = createSessions({ secret: sessionSecret(), ttlMs: SESSION_TTL_MS });
+const limiter = createRateLimiter(JSON.parse(process.env.RATE_LIMITS || '{}'));
 
 const app = express();
 
+// Lets operators check which instance answered (e.g. that sessions are sticky).
+app.use((_req, res, next) => {
+  res.set('X-Instance-Id', INSTANCE_ID);
+  next();
+});
+
 // If you later add a /public folder to this repo, it will be served automatically.
 app.use(express.static(path.join(__dirname, '..', 'public')));
 app.get('/health', (_req, res) => res.status(200).send('ok'));
@@ -56,24 +172,55 @@ const io = new Server(server, {
     methods: ['GET', 'POST'],
     credentials: true,
   },
+  // Hard cap per packet (the connection is dropped above it); handle() answers
+  // PAYLOAD_TOO_LARGE for anything between MAX_PAYLOAD_BYTES and this.
+  maxHttpBufferSize: MAX_PAYLOAD_BYTES * 2,
 });
 
+// Shared rooms also need shared broadcasts: io.to(room) reaches every instance.
+const cluster = CLUSTERED ? createCluster({ backend: CLUSTER_BACKEND, url: REDIS_URL, prefix: CLUSTER_PREFIX }) : null;
+if (cluster) io.adapter(createClusterAdapter(cluster));
+
 // ============================
 // Room model
 // ============================
 
 /**
- * rooms: Map<roomCode, {
+ * rooms: RoomStore (see roomStore.js; Map-like) of roomCode -> {
  *   roomCode: string,
  *   hostClientId: string,
+ *   hostIp: string,            // where host:createRoom came from (MAX_ROOMS_PER_IP)
  *   hostSocketId: string|null,
- *   players: Map<clientId, {clientId, name, ready, socketId|null}>,
+ *   players: Map<clientId, {clientId, name, ready, socketId|null, ip, connectedSince|null,
+ *                           bot?: { behavior }}>,   // bots never have a socket (see host:addBot)
+ *   audience: Record<clientId, {clientId, name, socketId|null, ip, joinedAt}>,   // spectators: they
+ *                              // watch room / hub / game state but are not dealt into games
+ *   hostAwaySince: number|null,  // host has no live socket since (see Host migration)
+ *   lastHostChange: { from, to, reason: 'transfer'|'absent', at }|null,
+ *   locked: boolean,           // no new joins (members can still re-attach)
+ *   maxPlayers: number,
+ *   bans: { clientIds: string[], ips: string[] },   // for the rest of the room's life
+ *   chat: { settings, muted, messages, seq },    // see chat.js
  *   hub: { currentGame: string|null, scoreboard: Record<string, number>, history: Array<any> },
- *   mafia: MafiaState|null,
+ *   games: Record<gameId, object|null>,          // per-module game state (see games/index.js)
+ *   gameSettings: Record<gameId, object>,        // per-module host settings
+ *   gameReports: Record<gameId, object>,         // last finished round of each game
  *   devMode: boolean,
- * }>
+ *   createdAt: number,
+ *   lastActivityAt: number,
+ *   emptySince: number|null,   // when host + all players last became disconnected
+ *   pushes: Record<stream, { version, hash }>,   // last room / hub / game state push (see State pushes)
+ * }
  */
-const rooms = new Map();
+const rooms = createRoomStore({
+  kind: ROOM_STORE,
+  file: ROOM_STORE_FILE,
+  cluster,
+  instanceId: INSTANCE_ID,
+  // Pushes made before another instance's change arrived lack it; pushing again
+  // gives the newest version the merged state (unchanged streams are skipped).
+  onMerge: (room) => setImmediate(() => pushAll(room)),
+});
 
 function normalizeRoom(roomCode) {
   return String(roomCode || '').trim().toUpperCase();
@@ -86,13 +233,17 @@ function makeRoomCode(len = 4) {
   return out;
 }
 
-function createUniqueRoomCode() {
-  for (let i = 0; i < 999; i++) {
-    const code = makeRoomCode(4);
-    if (!rooms.has(code)) return code;
+// Adds `room` under a free code and returns it; the store refuses codes another
+// instance took in the meantime.
+async function createRoomWithCode(room) {
+  for (let i = 0; i < 1000; i++) {
+    // fallback to longer codes once the short ones look used up
+    const code = makeRoomCode(i < 999 ? 4 : 6);
+    if (rooms.has(code)) continue;
+    room.roomCode = code;
+    if (await rooms.create(code, room)) return code;
   }
-  // fallback
-  return makeRoomCode(6);
+  throw new Error('no free room code');
 }
 
 function ensureHub(room) {
@@ -130,308 +281,571 @@ function roomState(roomCode) {
   const room = rooms.get(roomCode);
   if (!room) return { roomCode, players: [], hostClientId: null, devMode: false };
 
+  const muted = room.chat?.muted || [];
   const players = Array.from(room.players.values()).map((p) => ({
     clientId: p.clientId,
     name: p.name,
     ready: !!p.ready,
+    muted: muted.includes(p.clientId),
+    bot: p.bot || null,
   }));
 
+  const audience = Object.values(room.audience || {}).map((a) => ({ clientId: a.clientId, name: a.name }));
+
   return {
     roomCode,
     players,
+    audience,
     hostClientId: room.hostClientId || null,
+    hostConnected: hostConnected(room),
+    lastHostChange: room.lastHostChange || null,
     devMode: !!room.devMode,
+    locked: !!room.locked,
+    maxPlayers: room.maxPlayers || ROOM_MAX_PLAYERS,
   };
 }
 
-function broadcastRoomState(roomCode) {
-  io.to(roomCode).emit('room:state', roomState(roomCode));
+function isBanned(room, clientId, ip) {
+  return !!(room.bans?.clientIds?.includes(clientId) || (ip && room.bans?.ips?.includes(ip)));
 }
 
-function broadcastHub(roomCode) {
-  io.to(roomCode).emit('hub:state', hubState(roomCode));
+// ----- State pushes -----
+// room:state, hub:state and each game's <id>:state carry a version per stream
+// ('room', 'hub', game id) that only goes up. A push identical to the previous
+// one is skipped. A client that sees a gap (version !== last + 1) or comes back
+// from a disconnect sends room:resync. With ROOM_STORE=shared the versions come
+// from the cluster (rooms.nextVersion), so two instances pushing at once never
+// hand out the same number.
+
+// Clock readings change on every call; the deadline they come from is hashed instead.
+function hashReplacer(key, value) {
+  if (key === 'serverNow') return undefined;
+  if (key === 'remainingMs' && this.deadline && !this.paused) return undefined;
+  return value;
 }
 
-function isHost(room, socket) {
-  const cid = String(socket?.handshake?.auth?.clientId || '').trim();
-  return cid && cid === room.hostClientId;
+// Calls send(version) with the new version, unless nothing changed since the last push.
+function stampPush(room, stream, payload, send) {
+  if (!room.pushes) room.pushes = {};
+  const hash = crypto.createHash('sha1').update(JSON.stringify(payload, hashReplacer)).digest('base64');
+  const last = room.pushes[stream];
+  if (last?.hash === hash) return;
+  room.pushes[stream] = { version: last?.version || 0, hash };
+
+  const stamp = (version) => {
+    const cur = room.pushes[stream];
+    if (cur && cur.version < version) cur.version = version;
+    rooms.save(room);
+    send(version);
+  };
+  if (!rooms.nextVersion) return stamp(room.pushes[stream].version + 1);
+  rooms.nextVersion(room.roomCode, stream).then(stamp, (err) => {
+    console.error(`[push] ${room.roomCode} ${stream}: no version:`, err.message);
+  });
 }
 
-// ============================
-// Mafia game
-// ============================
-
-function safeRoleName(x) {
-  const r = String(x || '').trim().toLowerCase();
-  const allowed = new Set(['mafia', 'detective', 'doctor', 'villager']);
-  return allowed.has(r) ? r : null;
+function pushVersion(room, stream) {
+  return room?.pushes?.[stream]?.version || 0;
 }
 
-function alivePlayers(room) {
-  const m = room.mafia;
-  if (!m) return [];
-  return Object.keys(m.alive).filter((cid) => m.alive[cid]);
+// [socketId, clientId] for every live socket in the room (host screen included).
+function viewersOf(room) {
+  const viewers = new Map();
+  if (room.hostSocketId) viewers.set(room.hostSocketId, room.hostClientId);
+  for (const p of room.players.values()) {
+    if (p.socketId) viewers.set(p.socketId, p.clientId);
+  }
+  for (const a of Object.values(room.audience || {})) {
+    if (a.socketId) viewers.set(a.socketId, a.clientId);
+  }
+  return Array.from(viewers);
 }
 
-function pushMafiaTick(roomCode) {
-  io.to(roomCode).emit('mafia:tick');
+function broadcastRoomState(roomCode) {
+  const room = rooms.get(roomCode);
+  if (!room) return;
+  const state = roomState(roomCode);
+  stampPush(room, 'room', state, (version) => io.to(roomCode).emit('room:state', { ...state, version }));
 }
 
-function emitRoleToPlayer(room, roomCode, clientId) {
-  const m = room.mafia;
-  if (!m) return;
-  const role = m.assignments[clientId] || null;
-  const sockId = room.players.get(clientId)?.socketId;
-  if (sockId && role) io.to(sockId).emit('mafia:role', { roomCode, role });
+function broadcastHub(roomCode) {
+  const room = rooms.get(roomCode);
+  if (!room) return;
+  const state = hubState(roomCode);
+  stampPush(room, 'hub', state, (version) => io.to(roomCode).emit('hub:state', { ...state, version }));
 }
 
-function pushMafiaStateToAll(room, roomCode) {
-  // We primarily push a lightweight tick; clients call mafia:getState.
-  // But also push roles where appropriate (host dev tools etc.).
-  pushMafiaTick(roomCode);
+// Every stream of the room again, e.g. after a merge; unchanged ones are skipped.
+function pushAll(room) {
+  if (rooms.get(room.roomCode) !== room) return;
+  broadcastRoomState(room.roomCode);
+  broadcastHub(room.roomCode);
+  const game = activeGame(room);
+  if (game) gameApi.pushState(room, game.id);
+}
 
-  // Ensure each player still knows their role after reconnect.
-  if (room.mafia?.started) {
-    for (const cid of room.players.keys()) {
-      emitRoleToPlayer(room, roomCode, cid);
-    }
+// Tell game modules a player (re)bound a socket / something about the room changed.
+function reconnectGames(room, clientId) {
+  for (const game of games.values()) {
+    if (room.games?.[game.id] && game.onReconnect) game.onReconnect(room, clientId);
   }
 }
 
-function computeWinner(m) {
-  const alive = Object.keys(m.alive).filter((cid) => m.alive[cid]);
-  const mafiaAlive = alive.filter((cid) => m.assignments[cid] === 'mafia');
-  const townAlive = alive.filter((cid) => m.assignments[cid] !== 'mafia');
+// A player left the room for good (kick, ban, player:leave); games drop them.
+function leaveGames(room, clientId) {
+  for (const game of games.values()) {
+    if (room.games?.[game.id] && game.removePlayer) game.removePlayer(room, clientId);
+  }
+}
 
-  if (mafiaAlive.length === 0) return 'town';
-  if (mafiaAlive.length >= townAlive.length) return 'mafia';
-  return null;
+function notifyGame(room) {
+  const game = activeGame(room);
+  if (game?.notify) game.notify(room);
 }
 
-function mafiaPublicState(room, viewerClientId) {
-  const roomCode = room.roomCode;
-  const m = room.mafia;
+// Which chat channels clientId may use right now (see chat.js).
+function chatAccess(room, clientId) {
+  const game = activeGame(room);
+  return game?.chatAccess ? game.chatAccess(room, clientId) : { room: true, graveyard: false };
+}
 
-  if (!m || !m.started) {
-    return {
-      roomCode,
-      started: false,
-      phase: null,
-      round: 1,
-      winnerTeam: null,
-      myRole: null,
-      alive: [],
-      lastResult: null,
-      canAdvance: false,
-      hostStats: null,
-      investigationResult: null,
-      devMode: !!room.devMode,
-    };
+function emitChat(room, channel, message) {
+  const payload = { roomCode: room.roomCode, channel, message };
+  if (channel !== 'graveyard') return io.to(room.roomCode).emit('chat:message', payload);
+  for (const [sockId, cid] of viewersOf(room)) {
+    if (chatAccess(room, cid).graveyard) io.to(sockId).emit('chat:message', payload);
   }
+}
 
-  const aliveList = Array.from(room.players.values()).map((p) => ({
-    clientId: p.clientId,
-    name: p.name,
-    alive: !!m.alive[p.clientId],
-  }));
+// socket.data.clientId is set from the session token only (see the connection handler).
+function isHost(room, socket) {
+  const cid = socket?.data?.clientId;
+  return !!cid && cid === room.hostClientId;
+}
 
-  const myRole = m.assignments[viewerClientId] || null;
-
-  const viewerIsHost = viewerClientId && viewerClientId === room.hostClientId;
-
-  // Host stats only
-  let hostStats = null;
-  if (viewerIsHost) {
-    const aliveIds = alivePlayers(room);
-    const votedCount = Object.keys(m.day?.votes || {}).length;
-    hostStats = {
-      aliveCount: aliveIds.length,
-      votedCount,
-      mafiaPicked: !!m.night?.mafiaKill,
-      doctorPicked: !!m.night?.doctorSave,
-      detectivePicked: !!m.night?.detectiveCheck,
-      devMode: !!room.devMode,
-    };
-  }
+// ============================
+// Host migration
+// ============================
 
-  // Investigation results: only for detective who performed the check
-  let investigationResult = null;
-  if (myRole === 'detective' && m.lastInvestigation && m.lastInvestigation.by === viewerClientId) {
-    investigationResult = {
-      targetId: m.lastInvestigation.targetId,
-      isMafia: !!m.lastInvestigation.isMafia,
-    };
-  }
+// The host counts as present with either the host screen or their player socket.
+function hostConnected(room) {
+  return !!(room.hostSocketId || room.players.get(room.hostClientId)?.socketId);
+}
 
-  return {
-    roomCode,
-    started: true,
-    phase: m.phase,
-    round: m.round,
-    winnerTeam: m.winnerTeam,
-    myRole,
-    alive: aliveList,
-    lastResult: m.lastResult,
-    canAdvance: viewerIsHost,
-    hostStats,
-    investigationResult,
-    devMode: !!room.devMode,
-  };
+// Call whenever a host socket binds or drops.
+function updateHostPresence(room) {
+  if (hostConnected(room)) room.hostAwaySince = null;
+  else if (!room.hostAwaySince) room.hostAwaySince = Date.now();
 }
 
-function startMafiaGame(room) {
-  const players = Array.from(room.players.values());
-  const n = players.length;
+function setHost(room, clientId, reason) {
+  const from = room.hostClientId;
+  room.hostClientId = clientId;
+  room.hostSocketId = room.players.get(clientId)?.socketId || null;
+  // A new host without a socket starts a fresh absence (see migrateHosts).
+  room.hostAwaySince = null;
+  updateHostPresence(room);
+  room.lastHostChange = { from, to: clientId, reason, at: Date.now() };
 
-  // Dev mode can start from 2 players, normal requires 5
-  const minPlayers = room.devMode ? 2 : 5;
-  if (n < minPlayers) return { ok: false, minPlayers };
+  ensureHub(room);
+  room.hub.history.push({ at: Date.now(), type: 'hostChange', from, to: clientId, reason });
+  touchRoom(room);
 
-  // Role setup (works for 2+)
-  const mafiaCount = n <= 3 ? 1 : Math.max(1, Math.floor((n - 1) / 3));
-  const roles = [];
+  broadcastRoomState(room.roomCode);
+  broadcastHub(room.roomCode);
+  notifyGame(room);
+}
 
-  for (let i = 0; i < mafiaCount; i++) roles.push('mafia');
-  if (n >= 3) roles.push('detective');
-  if (n >= 3) roles.push('doctor');
-  while (roles.length < n) roles.push('villager');
+// Hand the room to the player who has been connected the longest once the host
+// has been gone for HOST_ABSENCE_MS. With nobody connected we keep waiting.
+function migrateHosts() {
+  if (!HOST_ABSENCE_MS) return;
+  const now = Date.now();
+
+  for (const room of rooms.values()) {
+    if (!room.hostAwaySince || now - room.hostAwaySince < HOST_ABSENCE_MS) continue;
+    if (hostConnected(room)) {
+      room.hostAwaySince = null;
+      continue;
+    }
 
-  // Shuffle roles
-  for (let i = roles.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [roles[i], roles[j]] = [roles[j], roles[i]];
+    const next = Array.from(room.players.values())
+      .filter((p) => p.socketId && p.clientId !== room.hostClientId)
+      .sort((a, b) => (a.connectedSince || 0) - (b.connectedSince || 0))[0];
+    if (next) setHost(room, next.clientId, 'absent');
   }
+}
 
-  const assignments = {};
-  const alive = {};
-  players.forEach((p, idx) => {
-    assignments[p.clientId] = roles[idx];
-    alive[p.clientId] = true;
-  });
+setInterval(migrateHosts, Math.min(5000, HOST_ABSENCE_MS || 5000)).unref();
 
-  room.mafia = {
-    started: true,
-    phase: 'role',
-    round: 1,
-    assignments,
-    alive,
-    winnerTeam: null,
-    night: { mafiaKill: null, doctorSave: null, detectiveCheck: null },
-    day: { votes: {} },
-    lastResult: null,
-    lastInvestigation: null,
-  };
+// ============================
+// Room expiry
+// ============================
 
-  return { ok: true };
+function isRoomEmpty(room) {
+  if (room.hostSocketId) return false;
+  for (const p of room.players.values()) {
+    if (p.socketId) return false;
+  }
+  return true;
 }
 
-function resetNight(m) {
-  m.night = { mafiaKill: null, doctorSave: null, detectiveCheck: null };
+// Call after anything that changes a room (joins, attaches, game actions).
+function touchRoom(room) {
+  room.lastActivityAt = Date.now();
+  if (!isRoomEmpty(room)) room.emptySince = null;
+  rooms.save(room);
 }
 
-function resetDay(m) {
-  m.day = { votes: {} };
+function closeRoom(roomCode, reason) {
+  const room = rooms.get(roomCode);
+  if (!room) return;
+  rooms.delete(roomCode);
+  stopGames(room);
+
+  io.to(roomCode).emit('room:closed', { roomCode, reason });
+  io.in(roomCode).socketsLeave(roomCode);
 }
 
-function resolveNight(room) {
-  const m = room.mafia;
-  if (!m || m.winnerTeam) return;
+function sweepRooms() {
+  const now = Date.now();
 
-  const kill = m.night?.mafiaKill;
-  const save = m.night?.doctorSave;
+  for (const [code, room] of rooms.entries()) {
+    const emptySince = isRoomEmpty(room) ? room.emptySince || now : null;
+    if (emptySince !== room.emptySince) {
+      room.emptySince = emptySince;
+      rooms.save(room);
+    }
 
-  let diedId = null;
-  if (kill && m.alive[kill]) {
-    if (save && save === kill) {
-      // saved
-      diedId = null;
-    } else {
-      m.alive[kill] = false;
-      diedId = kill;
+    if (room.emptySince && now - room.emptySince >= ROOM_EMPTY_GRACE_MS) {
+      closeRoom(code, 'EMPTY');
+    } else if (ROOM_IDLE_TTL_MS && now - (room.lastActivityAt || 0) >= ROOM_IDLE_TTL_MS) {
+      closeRoom(code, 'IDLE');
     }
   }
+}
 
-  m.lastResult = {
-    type: 'night',
-    died: diedId
-      ? { clientId: diedId, name: room.players.get(diedId)?.name || 'Player' }
-      : null,
-  };
+if (ROOM_SWEEP_INTERVAL_MS > 0) setInterval(sweepRooms, ROOM_SWEEP_INTERVAL_MS).unref();
+setInterval(() => limiter.prune(), 60 * 1000).unref();
 
-  // winner?
-  m.winnerTeam = computeWinner(m);
+// ============================
+// Games
+// ============================
 
-  // next phase
-  if (!m.winnerTeam) {
-    m.phase = 'day';
-    resetDay(m);
-  }
+// What game modules may use from the server (see games/index.js).
+const gameApi = {
+  io,
+  getRoom: (roomCode) => rooms.get(roomCode),
+  touchRoom,
+  nameOf: (room, clientId) => room.players.get(clientId)?.name || 'Player',
+
+  // A game's own chat follows the room chat rules: fail('MUTED') or cleanText's
+  // failures, else the text to store with blocked words masked.
+  chatText(room, clientId, text) {
+    const chat = ensureChat(room, CHAT_DEFAULTS);
+    if (chat.muted.includes(clientId)) return fail('MUTED');
+    return cleanText(text, chat.settings);
+  },
 
-  resetNight(m);
-}
+  // Send every viewer their own publicState as <id>:state (see State pushes).
+  // <id>:tick still goes out for older pages that pull with <id>:getState.
+  pushState(room, gameId) {
+    const game = games.get(gameId);
+    if (!game) return;
+
+    const viewers = viewersOf(room);
+    const states = viewers.map(([, cid]) => ({ ...game.publicState(room, cid), game: game.id, roomCode: room.roomCode }));
+    stampPush(room, game.id, states, (version) => {
+      viewers.forEach(([sockId], i) => io.to(sockId).emit(`${game.id}:state`, { ...states[i], version }));
+      io.to(room.roomCode).emit(`${game.id}:tick`, { roomCode: room.roomCode, version });
+    });
+  },
 
-function resolveDay(room) {
-  const m = room.mafia;
-  if (!m || m.winnerTeam) return;
+  emitToPlayer(room, clientId, event, payload) {
+    const sockId = room.players.get(clientId)?.socketId;
+    if (sockId) io.to(sockId).emit(event, payload);
+  },
 
-  const votes = m.day?.votes || {};
-  const tally = {};
+  // Points earned mid-round (clientId -> number) go on the hub scoreboard
+  // straight away, so leaving the round early keeps them.
+  addPoints(room, points) {
+    for (const [cid, n] of Object.entries(points || {})) {
+      ensureScore(room, { clientId: cid });
+      room.hub.scoreboard[cid] += Number(n) || 0;
+    }
+    touchRoom(room);
+    broadcastHub(room.roomCode);
+  },
+
+  // A round finished: add points to the hub scoreboard (unless they already went
+  // in through addPoints), log it, keep the report.
+  recordGameEnd(room, gameId, { summary, scores, report, pointsAdded = false }) {
+    ensureHub(room);
+    for (const [cid, s] of Object.entries(pointsAdded ? {} : scores || {})) {
+      ensureScore(room, { clientId: cid });
+      room.hub.scoreboard[cid] += Number(s.total) || 0;
+    }
+    room.hub.history.push({ at: Date.now(), type: 'gameEnd', game: gameId, ...summary, scores: scores || {} });
+    gamesFinished.inc({ game: gameId });
+    if (summary?.winnerTeam) gameWins.inc({ game: gameId, team: summary.winnerTeam });
+
+    if (report) {
+      if (!room.gameReports) room.gameReports = {};
+      room.gameReports[gameId] = report;
+    }
+
+    touchRoom(room);
+    broadcastHub(room.roomCode);
+  },
+};
+
+const games = createGameRegistry();
+games.register(createMafiaGame(gameApi));
+games.register(createTriviaGame(gameApi));
 
-  for (const [voter, target] of Object.entries(votes)) {
-    if (!m.alive[voter]) continue;
-    if (!target || !m.alive[target]) continue;
-    tally[target] = (tally[target] || 0) + 1;
+function activeGame(room) {
+  return games.get(room?.hub?.currentGame) || null;
+}
+
+// Drop every running game in the room but `except` (timers etc.); state is kept unless reset.
+function stopGames(room, { reset = false, except = null } = {}) {
+  for (const game of games.values()) {
+    if (!room.games?.[game.id] || game.id === except) continue;
+    if (game.stop) game.stop(room);
+    if (reset) room.games[game.id] = null;
   }
+}
 
-  const entries = Object.entries(tally).sort((a, b) => b[1] - a[1]);
+// ============================
+// Metrics
+// ============================
 
-  let eliminatedId = null;
-  let tie = false;
-  if (entries.length === 0) {
-    eliminatedId = null;
-  } else if (entries.length === 1) {
-    eliminatedId = entries[0][0];
-  } else {
-    const top = entries[0][1];
-    const second = entries[1][1];
-    if (top === second) {
-      tie = true;
-      eliminatedId = null;
-    } else {
-      eliminatedId = entries[0][0];
+const metrics = createMetrics();
+
+const socketEvents = metrics.counter('jackbox_socket_events_total', 'Socket events received, by event.');
+const socketFailures = metrics.counter(
+  'jackbox_socket_event_failures_total',
+  'Socket events answered with an error (incl. RATE_LIMITED), by event and code.'
+);
+const handlerErrors = metrics.counter('jackbox_socket_handler_errors_total', 'Socket handlers that threw, by event.');
+const gamesStarted = metrics.counter('jackbox_games_started_total', 'Game rounds started, by game.');
+const gamesFinished = metrics.counter('jackbox_games_finished_total', 'Game rounds finished, by game.');
+const gameWins = metrics.counter('jackbox_game_wins_total', 'Finished rounds by winning team (e.g. Mafia), by game and team.');
+
+metrics.gauge('jackbox_rooms_active', 'Open rooms.', () => rooms.size);
+metrics.gauge('jackbox_players', 'Players in open rooms, by whether they have a live socket (bots apart).', () => {
+  let connected = 0;
+  let disconnected = 0;
+  let bots = 0;
+  for (const room of rooms.values()) {
+    for (const p of room.players.values()) {
+      if (p.bot) bots++;
+      else if (p.socketId) connected++;
+      else disconnected++;
     }
   }
-
-  if (eliminatedId && m.alive[eliminatedId]) {
-    m.alive[eliminatedId] = false;
+  return [
+    { labels: { state: 'connected' }, value: connected },
+    { labels: { state: 'disconnected' }, value: disconnected },
+    { labels: { state: 'bot' }, value: bots },
+  ];
+});
+metrics.gauge('jackbox_audience', 'Spectators in open rooms.', () => {
+  let n = 0;
+  for (const room of rooms.values()) n += Object.keys(room.audience || {}).length;
+  return n;
+});
+metrics.gauge('jackbox_socket_connections', 'Open Socket.IO connections.', () => io.engine.clientsCount);
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes.', () => process.memoryUsage().rss);
+metrics.gauge('process_start_time_seconds', 'Start time of the process since unix epoch in seconds.', () =>
+  Math.round(Date.now() / 1000 - process.uptime())
+);
+
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN && String(req.get('authorization') || '') !== `Bearer ${METRICS_TOKEN}`) {
+    return res.status(401).json(fail('UNAUTHORIZED'));
   }
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
 
-  m.lastResult = {
-    type: 'day',
-    tie,
-    eliminated: eliminatedId
-      ? { clientId: eliminatedId, name: room.players.get(eliminatedId)?.name || 'Player' }
-      : null,
+// ============================
+// HTTP: instance info
+// ============================
+
+function instanceInfo() {
+  return {
+    instanceId: INSTANCE_ID,
+    roomStore: rooms.kind,
+    cluster: cluster ? { backend: cluster.kind, adapter: 'cluster' } : null,
+    rooms: rooms.size,
+    sockets: io.engine.clientsCount,
+    // Long-polling clients send each request separately; with several instances
+    // the load balancer must keep a connection on the instance that opened it.
+    stickySessions: CLUSTERED
+      ? {
+          required: true,
+          note:
+            'Route every request of a Socket.IO connection to the same instance (cookie or client IP affinity). ' +
+            'WebSocket-only clients do not need it.',
+        }
+      : { required: false },
   };
+}
 
-  // winner?
-  m.winnerTeam = computeWinner(m);
+app.get('/info', (_req, res) => res.json({ ok: true, data: instanceInfo() }));
 
-  if (!m.winnerTeam) {
-    m.round += 1;
-    m.phase = 'night';
-    resetNight(m);
-  }
+// ============================
+// HTTP: game reports
+// ============================
+
+// Host downloads the last finished round of a game (e.g. Mafia reveal + timeline)
+// as JSON. The host identifies with their session token (Authorization: Bearer or ?token=).
+app.get('/rooms/:roomCode/:game/report', (req, res) => {
+  const code = normalizeRoom(req.params.roomCode);
+  const room = rooms.get(code);
+  if (!room) return res.status(404).json(fail('ROOM_NOT_FOUND'));
+
+  const game = games.get(String(req.params.game || '').toLowerCase());
+  if (!game) return res.status(404).json(fail('UNKNOWN_GAME'));
+
+  const bearer = String(req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  const cid = sessions.verify(bearer || req.query.token);
+  if (!cid || cid !== room.hostClientId) return res.status(403).json(fail('NOT_HOST'));
+
+  const report = room.gameReports?.[game.id];
+  if (!report) return res.status(404).json(fail('NO_FINISHED_GAME'));
 
-  resetDay(m);
+  res.set('Content-Disposition', `attachment; filename="${game.id}-${code}-${report.endedAt}.json"`);
+  res.status(200).json(report);
+});
+
+// ============================
+// HTTP: admin API
+// ============================
+
+if (ADMIN_TOKEN) {
+  app.use(
+    '/admin',
+    createAdminRouter({
+      token: ADMIN_TOKEN,
+      io,
+      rooms,
+      games,
+      normalizeRoom,
+      roomState,
+      hubState,
+      hostConnected,
+      closeRoom,
+    })
+  );
 }
 
+// ============================
+// HTTP: join QR codes
+// ============================
+
+function joinUrl(roomCode) {
+  return JOIN_URL_TEMPLATE.replace(/\{code\}/g, encodeURIComponent(roomCode));
+}
+
+const QR_OPTIONS = { errorCorrectionLevel: 'M', margin: 2, width: 512 };
+
+// Anyone with the room code may fetch its QR; it only encodes the join link.
+app.get('/rooms/:roomCode/qr.:format(png|svg)', async (req, res) => {
+  const code = normalizeRoom(req.params.roomCode);
+  if (!rooms.has(code)) return res.status(404).json(fail('ROOM_NOT_FOUND'));
+
+  try {
+    if (req.params.format === 'svg') {
+      res.type('image/svg+xml').send(await QRCode.toString(joinUrl(code), { ...QR_OPTIONS, type: 'svg' }));
+    } else {
+      res.type('image/png').send(await QRCode.toBuffer(joinUrl(code), { ...QR_OPTIONS, type: 'png' }));
+    }
+  } catch (err) {
+    console.error(`[qr] ${code}:`, err.message);
+    res.status(500).json(fail('INTERNAL_ERROR'));
+  }
+});
+
 // ============================
 // Socket events
 // ============================
 
 io.on('connection', (socket) => {
-  const clientId = String(socket.handshake?.auth?.clientId || '').trim();
+  // Who this socket is comes only from a server-issued token ({ auth: { token } }).
+  // A socket without one gets an identity on host:createRoom / player:join.
+  let clientId = sessions.verify(socket.handshake?.auth?.token) || '';
+  socket.data.clientId = clientId;
+
+  const forwarded = TRUST_PROXY ? String(socket.handshake.headers['x-forwarded-for'] || '').split(',')[0].trim() : '';
+  const ip = forwarded || socket.handshake.address;
+
+  // Returns { clientId, token } for room:created / player:joined.
+  function issueSession() {
+    if (!clientId) {
+      clientId = sessions.newClientId();
+      socket.data.clientId = clientId;
+    }
+    return { clientId, token: sessions.issue(clientId) };
+  }
+
+  // Payloads cannot speak for someone else: a clientId that is not the
+  // session's own is refused (also reported as auth:error for older pages).
+  function overridesSession(payload, event) {
+    const claimed = payload?.clientId;
+    if (claimed === undefined || claimed === null || claimed === '') return null;
+    if (clientId && String(claimed).trim() === clientId) return null;
+    socket.emit('auth:error', { message: 'CLIENT_ID_OVERRIDE', event });
+    return fail('CLIENT_ID_OVERRIDE');
+  }
+
+  // Older pages listen for <x>:error events instead of using the ack.
+  function legacyError(event, res, extra = {}) {
+    const { ok, code, message, ...details } = res;
+    socket.emit(event, { message: code, ...details, ...extra });
+    return res;
+  }
+
+  // Over the limit: the offender gets rate_limited (and the ack); nothing runs.
+  function rateLimited(event) {
+    const hit = limiter.hit(event, { socketId: socket.id, ip });
+    if (!hit) return null;
+    socket.emit('rate_limited', { event, ...hit });
+    return fail('RATE_LIMITED', { event, ...hit });
+  }
+
+  function tooLarge(payload) {
+    const size = Buffer.byteLength(JSON.stringify(payload) || '');
+    return size > MAX_PAYLOAD_BYTES ? fail('PAYLOAD_TOO_LARGE', { maxBytes: MAX_PAYLOAD_BYTES }) : null;
+  }
+
+  /**
+   * Register a client event (see protocol.js). Rate limits, payload size and
+   * schema are checked first, then fn(payload) runs; it returns the ack data
+   * (or a promise of it), or fail(code) for an error.
+   */
+  function handle(event, schema, fn) {
+    socket.on(event, async (...args) => {
+      const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+      const payload = args[0] === undefined || args[0] === null ? {} : args[0];
+
+      socketEvents.inc({ event });
+      let res =
+        rateLimited(event) || tooLarge(payload) || validate(schema, payload) || overridesSession(payload, event);
+      if (!res) {
+        try {
+          res = await fn(payload);
+        } catch (err) {
+          console.error(`[socket] ${event} failed:`, err);
+          handlerErrors.inc({ event });
+          res = fail('INTERNAL_ERROR');
+        }
+      }
+      if (isFailure(res)) socketFailures.inc({ event, code: res.code });
+
+      if (ack) ack(isFailure(res) ? res : { ok: true, data: res === undefined ? null : res });
+    });
+  }
 
   // Helper to get room
   function getRoom(codeRaw) {
@@ -439,63 +853,118 @@ io.on('connection', (socket) => {
     return { code, room: rooms.get(code) };
   }
 
+  const roomOnly = { roomCode: fields.roomCode };
+
+  // Everything this socket may see of the room, at the current push versions.
+  function sendSnapshot(room) {
+    const code = room.roomCode;
+    const snapshot = {
+      room: { ...roomState(code), version: pushVersion(room, 'room') },
+      hub: { ...hubState(code), version: pushVersion(room, 'hub') },
+      game: null,
+    };
+    socket.emit('room:state', snapshot.room);
+    socket.emit('hub:state', snapshot.hub);
+
+    const game = activeGame(room);
+    if (game && clientId) {
+      snapshot.game = { ...game.publicState(room, clientId), game: game.id, roomCode: code, version: pushVersion(room, game.id) };
+      socket.emit(`${game.id}:state`, snapshot.game);
+    }
+    return snapshot;
+  }
+
   // -------- Host --------
 
-  socket.on('host:createRoom', () => {
-    if (!clientId) return;
+  handle('host:createRoom', {}, async () => {
+    const open = Array.from(rooms.values());
+    if (clientId && open.filter((r) => r.hostClientId === clientId).length >= MAX_ROOMS_PER_CLIENT) {
+      return fail('TOO_MANY_ROOMS', { max: MAX_ROOMS_PER_CLIENT });
+    }
+    if (open.filter((r) => r.hostIp === ip).length >= MAX_ROOMS_PER_IP) {
+      return fail('TOO_MANY_ROOMS', { max: MAX_ROOMS_PER_IP });
+    }
+
+    const session = issueSession();
 
-    const roomCode = createUniqueRoomCode();
     const room = {
-      roomCode,
+      roomCode: null,
       hostClientId: clientId,
+      hostIp: ip,
       hostSocketId: socket.id,
       players: new Map(),
+      audience: {},
+      locked: false,
+      maxPlayers: ROOM_MAX_PLAYERS,
+      bans: { clientIds: [], ips: [] },
+      hostAwaySince: null,
+      lastHostChange: null,
       hub: { currentGame: null, scoreboard: {}, history: [] },
-      mafia: null,
+      games: {},
+      gameSettings: {},
+      gameReports: {},
       devMode: false,
+      createdAt: Date.now(),
+      lastActivityAt: Date.now(),
+      emptySince: null,
     };
 
-    rooms.set(roomCode, room);
-
+    const roomCode = await createRoomWithCode(room);
     socket.join(roomCode);
-    socket.emit('room:created', { roomCode });
+
+    // The host screen can show the QR straight away (also at /rooms/:code/qr.png|svg).
+    const link = joinUrl(roomCode);
+    const qrDataUrl = await QRCode.toDataURL(link, QR_OPTIONS).catch((err) => {
+      console.error(`[qr] ${roomCode}:`, err.message);
+      return null;
+    });
+
+    const created = { roomCode, ...session, joinUrl: link, qrDataUrl };
+    socket.emit('room:created', created);
 
     broadcastRoomState(roomCode);
     broadcastHub(roomCode);
+    return created;
   });
 
-  socket.on('host:attach', ({ roomCode }) => {
+  handle('host:attach', roomOnly, ({ roomCode }) => {
     const { code, room } = getRoom(roomCode);
-    if (!room) return socket.emit('host:attach:error', { message: 'ROOM_NOT_FOUND' });
+    if (!room) return legacyError('host:attach:error', fail('ROOM_NOT_FOUND'));
 
-    if (!isHost(room, socket)) return socket.emit('host:attach:error', { message: 'NOT_HOST' });
+    if (!isHost(room, socket)) return legacyError('host:attach:error', fail('NOT_HOST'));
 
     room.hostSocketId = socket.id;
+    updateHostPresence(room);
+    touchRoom(room);
     socket.join(code);
     socket.emit('host:attached', { roomCode: code });
 
     broadcastRoomState(code);
     broadcastHub(code);
-    pushMafiaTick(code);
+    notifyGame(room);
+    sendSnapshot(room);
+    return { roomCode: code };
   });
 
   // Host enables dev mode for this room (host only)
-  socket.on('host:setDevMode', ({ roomCode, enabled }) => {
+  handle('host:setDevMode', { ...roomOnly, enabled: { type: 'boolean', required: true } }, ({ roomCode, enabled }) => {
     const { code, room } = getRoom(roomCode);
-    if (!room) return;
-    if (!isHost(room, socket)) return;
+    if (!room) return fail('ROOM_NOT_FOUND');
+    if (!isHost(room, socket)) return fail('NOT_HOST');
 
-    room.devMode = !!enabled;
+    room.devMode = enabled;
+    touchRoom(room);
     broadcastRoomState(code);
     broadcastHub(code);
-    pushMafiaTick(code);
+    notifyGame(room);
+    return { devMode: room.devMode };
   });
 
   // Host joins as a player with a name (Host & Player mode)
-  socket.on('host:joinAsPlayer', ({ roomCode, name }) => {
+  handle('host:joinAsPlayer', { ...roomOnly, name: { type: 'string', max: 100 } }, ({ roomCode, name }) => {
     const { code, room } = getRoom(roomCode);
-    if (!room) return socket.emit('host:joinAsPlayer:error', { message: 'ROOM_NOT_FOUND' });
-    if (!isHost(room, socket)) return socket.emit('host:joinAsPlayer:error', { message: 'NOT_HOST' });
+    if (!room) return legacyError('host:joinAsPlayer:error', fail('ROOM_NOT_FOUND'));
+    if (!isHost(room, socket)) return legacyError('host:joinAsPlayer:error', fail('NOT_HOST'));
 
     const nm = String(name || '').trim().slice(0, 20) || 'Host';
 
@@ -505,9 +974,13 @@ io.on('connection', (socket) => {
       name: nm,
       ready: false,
       socketId: socket.id,
+      ip,
+      connectedSince: room.players.get(clientId)?.connectedSince || Date.now(),
     });
+    updateHostPresence(room);
 
     ensureScore(room, { clientId });
+    touchRoom(room);
 
     socket.join(code);
     socket.emit('host:joinedAsPlayer', { roomCode: code });
@@ -515,359 +988,696 @@ io.on('connection', (socket) => {
     broadcastRoomState(code);
     broadcastHub(code);
 
-    if (room.mafia?.started) emitRoleToPlayer(room, code, clientId);
+    reconnectGames(room, clientId);
+    sendSnapshot(room);
+    return { roomCode: code };
+  });
+
+  // -------- Moderation (host only) --------
+
+  // Remove a player or spectator and tell their socket why (room:kicked).
+  function removePlayer(room, targetId, { banned = false } = {}) {
+    const p = room.players.get(targetId) || room.audience?.[targetId];
+    if (!p) return;
+
+    const wasPlayer = room.players.delete(targetId);
+    if (room.audience) delete room.audience[targetId];
+    if (wasPlayer) leaveGames(room, targetId);
+    if (p.socketId) {
+      io.to(p.socketId).emit('room:kicked', { roomCode: room.roomCode, banned });
+      io.in(p.socketId).socketsLeave(room.roomCode);
+    }
+    touchRoom(room);
+    broadcastRoomState(room.roomCode);
+    broadcastHub(room.roomCode);
+    notifyGame(room);
+  }
+
+  function moderatedRoom(roomCode) {
+    const { room } = getRoom(roomCode);
+    if (!room) return { error: fail('ROOM_NOT_FOUND') };
+    if (!isHost(room, socket)) return { error: fail('NOT_HOST') };
+    return { room };
+  }
+
+  const targetSchema = { ...roomOnly, targetId: { type: 'string', required: true, max: 100 } };
+
+  handle('host:kick', targetSchema, ({ roomCode, targetId }) => {
+    const { room, error } = moderatedRoom(roomCode);
+    if (error) return error;
+    if (targetId === room.hostClientId) return fail('CANNOT_KICK_HOST');
+    if (!room.players.has(targetId) && !room.audience?.[targetId]) return fail('PLAYER_NOT_FOUND');
+
+    removePlayer(room, targetId);
+    return { targetId };
+  });
+
+  // { targetId, ip?: true } also bans the IP the player joined from.
+  handle('host:ban', { ...targetSchema, ip: { type: 'boolean' } }, ({ roomCode, targetId, ip: banIp }) => {
+    const { room, error } = moderatedRoom(roomCode);
+    if (error) return error;
+    if (targetId === room.hostClientId) return fail('CANNOT_KICK_HOST');
+
+    if (!room.bans) room.bans = { clientIds: [], ips: [] };
+    if (!room.bans.clientIds.includes(targetId)) room.bans.clientIds.push(targetId);
+
+    const targetIp = (room.players.get(targetId) || room.audience?.[targetId])?.ip;
+    if (banIp && targetIp && targetIp !== room.hostIp && !room.bans.ips.includes(targetIp)) {
+      room.bans.ips.push(targetIp);
+    }
+
+    removePlayer(room, targetId, { banned: true });
+    touchRoom(room);
+    return { targetId, bannedIp: !!(banIp && room.bans.ips.includes(targetIp)) };
+  });
+
+  handle('host:lock', { ...roomOnly, locked: { type: 'boolean', required: true } }, ({ roomCode, locked }) => {
+    const { room, error } = moderatedRoom(roomCode);
+    if (error) return error;
+
+    room.locked = locked;
+    touchRoom(room);
+    broadcastRoomState(room.roomCode);
+    return { locked };
+  });
+
+  // Does not remove anyone already in the room; it only stops new joins.
+  handle(
+    'host:setMaxPlayers',
+    { ...roomOnly, maxPlayers: { type: 'integer', required: true, min: 1, max: 100 } },
+    ({ roomCode, maxPlayers }) => {
+      const { room, error } = moderatedRoom(roomCode);
+      if (error) return error;
+
+      room.maxPlayers = maxPlayers;
+      touchRoom(room);
+      broadcastRoomState(room.roomCode);
+      return { maxPlayers };
+    }
+  );
+
+  // Bot players fill empty seats: they sit in room.players like anyone else
+  // (counting toward maxPlayers and game minimums) and the running game makes
+  // their moves. Remove them with host:kick.
+  handle(
+    'host:addBot',
+    { ...roomOnly, name: { type: 'string', max: 100 }, behavior: { type: 'string', max: 20 } },
+    ({ roomCode, name, behavior = 'smart' }) => {
+      const { room, error } = moderatedRoom(roomCode);
+      if (error) return error;
+      if (!BOT_BEHAVIORS.includes(behavior)) return fail('UNKNOWN_BEHAVIOR', { behaviors: BOT_BEHAVIORS });
+      if (room.players.size >= (room.maxPlayers || ROOM_MAX_PLAYERS)) {
+        return fail('ROOM_FULL', { maxPlayers: room.maxPlayers || ROOM_MAX_PLAYERS });
+      }
+
+      const taken = new Set(Array.from(room.players.values(), (p) => p.name));
+      let nm = String(name || '').trim().slice(0, 20);
+      for (let n = 1; !nm; n++) if (!taken.has(`Bot ${n}`)) nm = `Bot ${n}`;
+
+      const cid = sessions.newClientId();
+      room.players.set(cid, { clientId: cid, name: nm, ready: true, socketId: null, ip: null, connectedSince: null, bot: { behavior } });
+      ensureScore(room, { clientId: cid });
+      touchRoom(room);
+
+      broadcastRoomState(room.roomCode);
+      broadcastHub(room.roomCode);
+      notifyGame(room);
+      return { clientId: cid, name: nm, behavior };
+    }
+  );
+
+  handle(
+    'host:setBotBehavior',
+    { ...targetSchema, behavior: { type: 'string', required: true, max: 20 } },
+    ({ roomCode, targetId, behavior }) => {
+      const { room, error } = moderatedRoom(roomCode);
+      if (error) return error;
+      const p = room.players.get(targetId);
+      if (!p) return fail('PLAYER_NOT_FOUND');
+      if (!p.bot) return fail('NOT_A_BOT');
+      if (!BOT_BEHAVIORS.includes(behavior)) return fail('UNKNOWN_BEHAVIOR', { behaviors: BOT_BEHAVIORS });
+
+      p.bot = { ...p.bot, behavior };
+      touchRoom(room);
+      broadcastRoomState(room.roomCode);
+      return { targetId, behavior };
+    }
+  );
+
+  // Muted players cannot post in any chat channel.
+  handle('host:mute', { ...targetSchema, muted: { type: 'boolean', required: true } }, ({ roomCode, targetId, muted }) => {
+    const { room, error } = moderatedRoom(roomCode);
+    if (error) return error;
+    if (!room.players.has(targetId)) return fail('PLAYER_NOT_FOUND');
+
+    const chat = ensureChat(room, CHAT_DEFAULTS);
+    chat.muted = chat.muted.filter((cid) => cid !== targetId);
+    if (muted) chat.muted.push(targetId);
+    touchRoom(room);
+    broadcastRoomState(room.roomCode);
+    return { targetId, muted };
+  });
+
+  // Hand the host role to another player in the room.
+  handle('host:transfer', targetSchema, ({ roomCode, targetId }) => {
+    const { room, error } = moderatedRoom(roomCode);
+    if (error) return error;
+    if (targetId === room.hostClientId) return { hostClientId: targetId };
+    if (!room.players.has(targetId)) return fail('PLAYER_NOT_FOUND');
+    if (room.players.get(targetId).bot) return fail('IS_BOT');
+    if (!room.players.get(targetId).socketId) return fail('PLAYER_OFFLINE');
+
+    setHost(room, targetId, 'transfer');
+    return { hostClientId: targetId };
   });
 
   // -------- Player --------
 
-  socket.on('player:join', ({ roomCode, name, clientId: overrideId }) => {
+  handle('player:join', { ...roomOnly, name: { type: 'string', max: 100 } }, ({ roomCode, name }) => {
     const { code, room } = getRoom(roomCode);
-    const cid = String(overrideId || clientId || '').trim();
-    if (!cid) return;
 
     if (!room) {
-      socket.emit('join:error', { message: 'ROOM_NOT_FOUND' });
       socket.emit('room:error', { message: 'ROOM_NOT_FOUND' });
-      return;
+      return legacyError('join:error', fail('ROOM_NOT_FOUND'));
     }
 
     const nm = String(name || '').trim().slice(0, 20);
-    if (!nm) {
-      socket.emit('join:error', { message: 'NAME_REQUIRED' });
-      return;
+    if (!nm) return legacyError('join:error', fail('NAME_REQUIRED'));
+
+    // Members re-joining (e.g. renaming) skip the lock / cap checks.
+    if (isBanned(room, clientId, ip)) return legacyError('join:error', fail('BANNED'));
+    if (!room.players.has(clientId)) {
+      if (room.locked) return legacyError('join:error', fail('ROOM_LOCKED'));
+      if (room.players.size >= (room.maxPlayers || ROOM_MAX_PLAYERS)) {
+        return legacyError('join:error', fail('ROOM_FULL', { maxPlayers: room.maxPlayers || ROOM_MAX_PLAYERS }));
+      }
     }
 
+    const session = issueSession();
+    const cid = session.clientId;
+    const prev = room.players.get(cid);
+    // A spectator taking a seat stops being audience.
+    if (room.audience) delete room.audience[cid];
     room.players.set(cid, {
       clientId: cid,
       name: nm,
       ready: false,
       socketId: socket.id,
+      ip,
+      connectedSince: (prev?.socketId && prev.connectedSince) || Date.now(),
     });
+    updateHostPresence(room);
 
     ensureScore(room, { clientId: cid });
+    touchRoom(room);
 
     socket.join(code);
 
-    socket.emit('player:joined', { roomCode: code });
+    socket.emit('player:joined', { roomCode: code, ...session });
 
     broadcastRoomState(code);
     broadcastHub(code);
 
-    if (room.mafia?.started) emitRoleToPlayer(room, code, cid);
+    reconnectGames(room, cid);
+    sendSnapshot(room);
+    return { roomCode: code, ...session };
   });
 
-  socket.on('player:attach', ({ roomCode, clientId: attachId }) => {
+  handle('player:attach', roomOnly, ({ roomCode }) => {
     const { code, room } = getRoom(roomCode);
-    const cid = String(attachId || clientId || '').trim();
-    if (!cid) return;
+    const cid = clientId;
+    if (!cid) return legacyError('room:error', fail('NO_SESSION'));
 
     if (!room) {
       socket.emit('room:closed', { roomCode: code });
-      return;
+      return fail('ROOM_NOT_FOUND');
     }
 
     const p = room.players.get(cid);
     if (!p) {
       // not in room, treat as join error
-      socket.emit('room:error', { message: 'NOT_IN_ROOM' });
-      return;
+      return legacyError('room:error', fail('NOT_IN_ROOM'));
     }
 
     // update socket binding
+    if (!p.socketId) p.connectedSince = Date.now();
     p.socketId = socket.id;
+    p.ip = ip;
+    updateHostPresence(room);
     room.players.set(cid, p);
+    touchRoom(room);
 
     socket.join(code);
 
-    // Send role on re-attach
-    if (room.mafia?.started) emitRoleToPlayer(room, code, cid);
+    // Resend private game info (e.g. Mafia role) on re-attach
+    reconnectGames(room, cid);
 
     broadcastRoomState(code);
     broadcastHub(code);
-    pushMafiaTick(code);
+    notifyGame(room);
+    sendSnapshot(room);
+    return { roomCode: code };
   });
 
-  socket.on('player:ready', ({ roomCode, ready, clientId: overrideId }) => {
+  handle('player:ready', { ...roomOnly, ready: { type: 'boolean' } }, ({ roomCode, ready }) => {
     const { code, room } = getRoom(roomCode);
-    const cid = String(overrideId || clientId || '').trim();
-    if (!room || !cid) return;
+    if (!room) return fail('ROOM_NOT_FOUND');
 
-    const p = room.players.get(cid);
-    if (!p) return;
+    const p = room.players.get(clientId);
+    if (!p) return fail('NOT_IN_ROOM');
 
     p.ready = !!ready;
-    room.players.set(cid, p);
+    room.players.set(clientId, p);
+    touchRoom(room);
     broadcastRoomState(code);
+    return { ready: p.ready };
   });
 
-  socket.on('player:leave', ({ roomCode, clientId: overrideId }) => {
+  handle('player:leave', roomOnly, ({ roomCode }) => {
     const { code, room } = getRoom(roomCode);
-    const cid = String(overrideId || clientId || '').trim();
-    if (!room || !cid) return;
+    if (!room) return fail('ROOM_NOT_FOUND');
+    if (!room.players.has(clientId)) return fail('NOT_IN_ROOM');
 
-    room.players.delete(cid);
+    room.players.delete(clientId);
+    leaveGames(room, clientId);
+    touchRoom(room);
 
     // If host leaves as player, keep host role; room still exists.
     broadcastRoomState(code);
     broadcastHub(code);
-    pushMafiaTick(code);
-  });
-
-  // -------- State requests --------
-
-  socket.on('room:getState', ({ roomCode }) => {
-    const code = normalizeRoom(roomCode);
-    socket.emit('room:state', roomState(code));
+    notifyGame(room);
   });
 
-  socket.on('hub:getState', ({ roomCode }) => {
-    const code = normalizeRoom(roomCode);
-    socket.emit('hub:state', hubState(code));
-  });
+  // -------- Audience --------
+  // Spectators get room:state, hub:state, the room and host chat (read only) and
+  // each game's spectator view (publicState with no role), but are never dealt in.
+  // Games may offer them actions flagged audience (e.g. Mafia advisory votes).
 
-  socket.on('hub:setGame', ({ roomCode, game }) => {
+  handle('audience:join', { ...roomOnly, name: { type: 'string', max: 100 } }, ({ roomCode, name }) => {
     const { code, room } = getRoom(roomCode);
-    if (!room) return;
-    if (!isHost(room, socket)) return;
-
-    ensureHub(room);
-    const g = String(game || '').trim().toLowerCase();
-    room.hub.currentGame = g || null;
-    room.hub.history.push({ at: Date.now(), type: 'setGame', game: room.hub.currentGame });
+    if (!room) return fail('ROOM_NOT_FOUND');
 
-    broadcastHub(code);
-
-    // If switching to mafia, clients may open mafia page.
-    if (g === 'mafia') {
-      io.to(code).emit('hub:game', { roomCode: code, game: 'mafia' });
+    const nm = String(name || '').trim().slice(0, 20);
+    if (!nm) return fail('NAME_REQUIRED');
+    if (isBanned(room, clientId, ip)) return fail('BANNED');
+    if (clientId && room.players.has(clientId)) return fail('ALREADY_PLAYER');
+
+    if (!room.audience) room.audience = {};
+    if (!room.audience[clientId]) {
+      if (room.locked) return fail('ROOM_LOCKED');
+      if (Object.keys(room.audience).length >= ROOM_MAX_AUDIENCE) return fail('AUDIENCE_FULL', { max: ROOM_MAX_AUDIENCE });
     }
-  });
 
-  // -------- Mafia --------
+    const session = issueSession();
+    room.audience[session.clientId] = { clientId: session.clientId, name: nm, socketId: socket.id, ip, joinedAt: Date.now() };
+    touchRoom(room);
 
-  socket.on('mafia:getState', ({ roomCode, clientId: viewerId }) => {
-    const { code, room } = getRoom(roomCode);
-    const vid = String(viewerId || clientId || '').trim();
-    if (!room || !vid) return;
+    socket.join(code);
+    socket.emit('audience:joined', { roomCode: code, ...session });
 
-    socket.emit('mafia:state', mafiaPublicState(room, vid));
+    broadcastRoomState(code);
+    notifyGame(room);
+    sendSnapshot(room);
+    return { roomCode: code, ...session };
   });
 
-  socket.on('mafia:start', ({ roomCode }) => {
+  handle('audience:attach', roomOnly, ({ roomCode }) => {
     const { code, room } = getRoom(roomCode);
-    if (!room) return;
-    if (!isHost(room, socket)) return;
-
-    const res = startMafiaGame(room);
-    if (!res.ok) {
-      socket.emit('start:error', { message: 'NEED_MIN_PLAYERS', minPlayers: res.minPlayers });
-      return;
+    if (!clientId) return fail('NO_SESSION');
+    if (!room) {
+      socket.emit('room:closed', { roomCode: code });
+      return fail('ROOM_NOT_FOUND');
     }
 
-    // Set hub game if not set
-    ensureHub(room);
-    room.hub.currentGame = 'mafia';
-
-    // Emit roles to everyone
-    for (const cid of room.players.keys()) {
-      emitRoleToPlayer(room, code, cid);
-    }
+    const a = room.audience?.[clientId];
+    if (!a) return fail('NOT_IN_ROOM');
 
-    broadcastHub(code);
-    pushMafiaStateToAll(room, code);
+    a.socketId = socket.id;
+    a.ip = ip;
+    touchRoom(room);
+    socket.join(code);
+    sendSnapshot(room);
+    return { roomCode: code };
   });
 
-  socket.on('mafia:next', ({ roomCode }) => {
+  handle('audience:leave', roomOnly, ({ roomCode }) => {
     const { code, room } = getRoom(roomCode);
-    if (!room || !room.mafia?.started) return;
-    if (!isHost(room, socket)) return;
+    if (!room) return fail('ROOM_NOT_FOUND');
+    if (!room.audience?.[clientId]) return fail('NOT_IN_ROOM');
 
-    const m = room.mafia;
-    if (m.winnerTeam) return;
+    delete room.audience[clientId];
+    touchRoom(room);
+    socket.leave(code);
+    broadcastRoomState(code);
+  });
 
-    if (m.phase === 'role') {
-      m.phase = 'night';
-      resetNight(m);
-    } else if (m.phase === 'night') {
-      resolveNight(room);
-    } else if (m.phase === 'day') {
-      resolveDay(room);
-    }
+  // -------- Chat --------
+  // See chat.js for the channels. The active game's chatAccess decides who may
+  // post in room / graveyard (Mafia: day only, the dead in the graveyard).
+
+  handle(
+    'chat:send',
+    { ...roomOnly, channel: { type: 'string', max: 20 }, text: { type: 'string', required: true, max: 2000 } },
+    ({ roomCode, channel = 'room', text }) => {
+      const { room } = getRoom(roomCode);
+      if (!room) return fail('ROOM_NOT_FOUND');
+      const host = isHost(room, socket);
+      if (!host && !room.players.has(clientId)) return fail('NOT_IN_ROOM');
+      if (!CHANNELS.includes(channel)) return fail('UNKNOWN_CHANNEL', { channels: CHANNELS });
+
+      const chat = ensureChat(room, CHAT_DEFAULTS);
+      if (channel === 'host') {
+        if (!host) return fail('NOT_HOST');
+      } else {
+        if (chat.muted.includes(clientId)) return fail('MUTED');
+        if (!chat.settings.enabled || !chatAccess(room, clientId)[channel]) return fail('CHAT_CLOSED');
+      }
 
-    pushMafiaStateToAll(room, code);
-  });
+      const clean = cleanText(text, chat.settings);
+      if (isFailure(clean)) return clean;
 
-  socket.on('mafia:forceResolveNight', ({ roomCode }) => {
-    const { code, room } = getRoom(roomCode);
-    if (!room || !room.mafia?.started) return;
-    if (!isHost(room, socket)) return;
+      const name = channel === 'host' ? 'Host' : room.players.get(clientId)?.name || 'Player';
+      const message = addMessage(room, channel, { clientId, name, text: clean });
+      touchRoom(room);
+      emitChat(room, channel, message);
+      return { channel, message };
+    }
+  );
 
-    const m = room.mafia;
-    if (m.winnerTeam) return;
-    if (m.phase !== 'night') return;
+  // Recent messages of every channel this socket may read.
+  handle('chat:history', roomOnly, ({ roomCode }) => {
+    const { room } = getRoom(roomCode);
+    if (!room) return fail('ROOM_NOT_FOUND');
 
-    resolveNight(room);
-    pushMafiaStateToAll(room, code);
+    const chat = ensureChat(room, CHAT_DEFAULTS);
+    return {
+      settings: chat.settings,
+      room: chat.messages.room,
+      host: chat.messages.host,
+      graveyard: chatAccess(room, clientId).graveyard ? chat.messages.graveyard : null,
+    };
   });
 
-  socket.on('mafia:forceResolveDay', ({ roomCode }) => {
-    const { code, room } = getRoom(roomCode);
-    if (!room || !room.mafia?.started) return;
-    if (!isHost(room, socket)) return;
+  // { enabled?, maxLength?, blockedWords? }; everyone gets chat:settings.
+  handle(
+    'chat:configure',
+    {
+      ...roomOnly,
+      enabled: { type: 'boolean' },
+      maxLength: { type: 'integer' },
+      blockedWords: { type: 'array', max: 200 },
+    },
+    ({ roomCode, enabled, maxLength, blockedWords }) => {
+      const { room, error } = moderatedRoom(roomCode);
+      if (error) return error;
+
+      const chat = ensureChat(room, CHAT_DEFAULTS);
+      const changes = Object.fromEntries(
+        Object.entries({ enabled, maxLength, blockedWords }).filter(([, v]) => v !== undefined)
+      );
+      const settings = safeChatSettings(changes, chat.settings);
+      if (!settings) return fail('INVALID_CHAT_SETTINGS');
+
+      chat.settings = settings;
+      touchRoom(room);
+      io.to(room.roomCode).emit('chat:settings', { roomCode: room.roomCode, settings });
+      return { settings };
+    }
+  );
 
-    const m = room.mafia;
-    if (m.winnerTeam) return;
-    if (m.phase !== 'day') return;
+  // -------- State requests --------
+  // The state is pushed as room:state / hub:state and also returned in the ack.
 
-    resolveDay(room);
-    pushMafiaStateToAll(room, code);
+  handle('room:getState', roomOnly, ({ roomCode }) => {
+    const { code, room } = getRoom(roomCode);
+    if (!room) return fail('ROOM_NOT_FOUND');
+    const state = { ...roomState(code), version: pushVersion(room, 'room') };
+    socket.emit('room:state', state);
+    return state;
   });
 
-  socket.on('mafia:nightAction', ({ roomCode, clientId: cidRaw, action, targetId }) => {
+  handle('hub:getState', roomOnly, ({ roomCode }) => {
     const { code, room } = getRoom(roomCode);
-    if (!room || !room.mafia?.started) return;
-
-    const cid = String(cidRaw || clientId || '').trim();
-    if (!cid) return;
-
-    const m = room.mafia;
-    if (m.winnerTeam) return;
-    if (m.phase !== 'night') return;
-    if (!m.alive[cid]) return;
-
-    const role = m.assignments[cid];
-    const tgt = String(targetId || '').trim();
-    if (!tgt || !m.alive[tgt]) return;
-
-    const act = String(action || '').trim().toLowerCase();
-
-    if (act === 'kill' && role === 'mafia') {
-      m.night.mafiaKill = tgt;
-    } else if (act === 'save' && role === 'doctor') {
-      m.night.doctorSave = tgt;
-    } else if (act === 'check' && role === 'detective') {
-      m.night.detectiveCheck = tgt;
-      m.lastInvestigation = {
-        by: cid,
-        targetId: tgt,
-        isMafia: m.assignments[tgt] === 'mafia',
-      };
-    } else {
-      return;
-    }
+    if (!room) return fail('ROOM_NOT_FOUND');
+    const state = { ...hubState(code), version: pushVersion(room, 'hub') };
+    socket.emit('hub:state', state);
+    return state;
+  });
 
-    pushMafiaTick(code);
+  // Missed a push (version gap) or reconnected: room, hub and the active game's
+  // state for this viewer, pushed and returned as { room, hub, game }.
+  handle('room:resync', roomOnly, ({ roomCode }) => {
+    const { room } = getRoom(roomCode);
+    if (!room) return fail('ROOM_NOT_FOUND');
+    return sendSnapshot(room);
   });
 
-  socket.on('mafia:vote', ({ roomCode, clientId: cidRaw, targetId }) => {
+  handle('hub:setGame', { ...roomOnly, game: { type: 'string', max: 40, nullable: true } }, ({ roomCode, game }) => {
     const { code, room } = getRoom(roomCode);
-    if (!room || !room.mafia?.started) return;
+    if (!room) return fail('ROOM_NOT_FOUND');
+    if (!isHost(room, socket)) return fail('NOT_HOST');
+
+    ensureHub(room);
+    const g = String(game || '').trim().toLowerCase();
+    const mod = games.get(g);
+    if (g && !mod) return legacyError('hub:setGame:error', fail('UNKNOWN_GAME', { games: games.list() }));
 
-    const cid = String(cidRaw || clientId || '').trim();
-    if (!cid) return;
+    // A round of the game we leave must not keep running (timers, bots) and
+    // later score into the hub behind the new game's back.
+    const changed = room.hub.currentGame !== (g || null);
+    if (changed) stopGames(room, { reset: true });
 
-    const m = room.mafia;
-    if (m.winnerTeam) return;
-    if (m.phase !== 'day') return;
-    if (!m.alive[cid]) return;
+    room.hub.currentGame = g || null;
+    room.hub.history.push({ at: Date.now(), type: 'setGame', game: room.hub.currentGame });
+    if (mod?.setup) mod.setup(room);
+    touchRoom(room);
 
-    const tgt = String(targetId || '').trim();
-    if (!tgt || !m.alive[tgt]) return;
+    broadcastHub(code);
+    if (changed) {
+      for (const other of games.values()) {
+        if (other.notify) other.notify(room);
+      }
+    }
 
-    m.day.votes[cid] = tgt;
-    pushMafiaTick(code);
+    // Clients open the selected game's page.
+    if (mod) io.to(code).emit('hub:game', { roomCode: code, game: mod.id });
+    return { game: room.hub.currentGame };
   });
 
-  socket.on('mafia:backToLobby', ({ roomCode }) => {
+  handle('hub:backToLobby', roomOnly, ({ roomCode }) => backToLobby(roomCode));
+
+  // -------- Games --------
+  // Each module gets <id>:getState / :start / :next / :backToLobby plus one
+  // <id>:<action> event per action. game:* does the same for the active game.
+
+  function backToLobby(roomCode) {
     const { code, room } = getRoom(roomCode);
-    if (!room) return;
-    if (!isHost(room, socket)) return;
+    if (!room) return fail('ROOM_NOT_FOUND');
+    if (!isHost(room, socket)) return fail('NOT_HOST');
 
-    // Keep scores / history, but reset mafia.
-    room.mafia = null;
+    // Keep scores / history, but reset the games.
+    stopGames(room, { reset: true });
     ensureHub(room);
     room.hub.currentGame = null;
     room.hub.history.push({ at: Date.now(), type: 'backToLobby' });
+    touchRoom(room);
 
     broadcastHub(code);
     io.to(code).emit('hub:lobby', { roomCode: code });
-    pushMafiaTick(code);
-  });
+    for (const game of games.values()) {
+      if (game.notify) game.notify(room);
+    }
+  }
 
-  // ===== DEV tools (host-only + dev-only) =====
+  function getGameState(game, { roomCode }, event) {
+    const { code, room } = getRoom(roomCode);
+    if (!room) return fail('ROOM_NOT_FOUND');
+    if (!clientId) return fail('NO_SESSION');
 
-  socket.on('mafia:revealAll', ({ roomCode }) => {
+    const state = { ...game.publicState(room, clientId), game: game.id, roomCode: code, version: pushVersion(room, game.id) };
+    socket.emit(event, state);
+    return state;
+  }
+
+  function startGame(game, { roomCode }) {
     const { code, room } = getRoom(roomCode);
-    if (!room || !room.mafia?.started) return;
-    if (!isHost(room, socket)) return;
-    if (!room.devMode) return;
+    if (!room) return fail('ROOM_NOT_FOUND');
+    if (!isHost(room, socket)) return fail('NOT_HOST');
+
+    if (!room.games) room.games = {};
+
+    // A refused start leaves whatever is running alone. Once it is accepted,
+    // every other game is dropped so it cannot keep playing (and scoring) unseen.
+    const res = game.start(room);
+    if (isFailure(res)) return legacyError('start:error', res, { game: game.id });
+    stopGames(room, { reset: true, except: game.id });
+    for (const other of games.values()) {
+      if (other.id !== game.id && other.notify) other.notify(room);
+    }
+    gamesStarted.inc({ game: game.id });
+    // The graveyard belongs to one round.
+    if (room.chat) room.chat.messages.graveyard = [];
 
-    const m = room.mafia;
-    const list = Object.keys(m.assignments).map((cid) => ({
-      clientId: cid,
-      name: room.players.get(cid)?.name || 'Player',
-      role: m.assignments[cid],
-      alive: !!m.alive[cid],
-    }));
+    // Set hub game if not set
+    ensureHub(room);
+    room.hub.currentGame = game.id;
+    touchRoom(room);
+    broadcastHub(code);
+    return { game: game.id };
+  }
 
-    socket.emit('mafia:reveal', { roomCode: code, list });
-  });
+  function nextPhase(game, { roomCode }) {
+    const { room } = getRoom(roomCode);
+    if (!room) return fail('ROOM_NOT_FOUND');
+    if (!isHost(room, socket)) return fail('NOT_HOST');
+    if (activeGame(room) !== game) return fail('GAME_NOT_RUNNING');
 
-  socket.on('mafia:setRole', ({ roomCode, targetId, role }) => {
-    const { code, room } = getRoom(roomCode);
-    if (!room || !room.mafia?.started) return;
-    if (!isHost(room, socket)) return;
-    if (!room.devMode) return;
+    game.advance(room);
+  }
 
-    const m = room.mafia;
-    const tgt = String(targetId || '').trim();
-    const r = safeRoleName(role);
-    if (!tgt || !m.assignments[tgt] || !r) return;
+  function runAction(game, name, payload) {
+    const def = Object.prototype.hasOwnProperty.call(game.actions || {}, name) ? game.actions[name] : null;
+    if (!def) return fail('UNKNOWN_ACTION', { game: game.id, action: name });
 
-    m.assignments[tgt] = r;
+    const invalid = validate(def.schema, payload);
+    if (invalid) return invalid;
 
-    // update role for that player
-    emitRoleToPlayer(room, code, tgt);
+    const { code, room } = getRoom(payload.roomCode);
+    if (!room) return fail('ROOM_NOT_FOUND');
+    if (!clientId) return fail('NO_SESSION');
+    // Only the hub's current game takes actions (settings can be prepared ahead).
+    if (!def.setup && activeGame(room) !== game) return fail('GAME_NOT_RUNNING');
 
-    pushMafiaStateToAll(room, code);
-  });
+    const host = isHost(room, socket);
+    const audience = !!room.audience?.[clientId];
+    if (def.host && !host) return fail('NOT_HOST');
+    if (def.dev && !room.devMode) return fail('DEV_MODE_REQUIRED');
+    if (def.audience && !audience) return fail('AUDIENCE_ONLY');
 
-  socket.on('mafia:toggleAlive', ({ roomCode, targetId }) => {
-    const { code, room } = getRoom(roomCode);
-    if (!room || !room.mafia?.started) return;
-    if (!isHost(room, socket)) return;
-    if (!room.devMode) return;
+    return def.run(room, { socket, code, clientId, isHost: host, isAudience: audience }, payload);
+  }
 
-    const m = room.mafia;
-    const tgt = String(targetId || '').trim();
-    if (!tgt || typeof m.alive[tgt] !== 'boolean') return;
+  for (const game of games.values()) {
+    handle(`${game.id}:getState`, roomOnly, (payload) => getGameState(game, payload, `${game.id}:state`));
+    handle(`${game.id}:start`, roomOnly, (payload) => startGame(game, payload));
+    handle(`${game.id}:next`, roomOnly, (payload) => nextPhase(game, payload));
+    handle(`${game.id}:backToLobby`, roomOnly, ({ roomCode }) => backToLobby(roomCode));
+
+    for (const name of Object.keys(game.actions || {})) {
+      handle(`${game.id}:${name}`, roomOnly, (payload) => runAction(game, name, payload));
+    }
+  }
 
-    m.alive[tgt] = !m.alive[tgt];
+  // Same as above, routed to whatever game the hub has selected.
+  function withActiveGame(payload, fn) {
+    const { room } = getRoom(payload.roomCode);
+    if (!room) return fail('ROOM_NOT_FOUND');
+    const game = activeGame(room);
+    if (!game) return fail('NO_ACTIVE_GAME');
+    return fn(game, payload);
+  }
 
-    // winner might change
-    m.winnerTeam = computeWinner(m);
+  const actionSchema = { ...roomOnly, action: { type: 'string', required: true, max: 40 } };
 
-    pushMafiaStateToAll(room, code);
-  });
+  handle('game:getState', roomOnly, (payload) => withActiveGame(payload, (g, p) => getGameState(g, p, 'game:state')));
+  handle('game:start', roomOnly, (payload) => withActiveGame(payload, startGame));
+  handle('game:next', roomOnly, (payload) => withActiveGame(payload, nextPhase));
+  handle('game:action', actionSchema, (payload) => withActiveGame(payload, (g, p) => runAction(g, p.action, p)));
 
   // -------- Disconnect housekeeping --------
   socket.on('disconnect', () => {
-    // We do not auto-delete rooms on disconnect, because players often refresh.
-    // But we can unbind socketId for any player that was on this socket.
+    limiter.forgetSocket(socket.id);
+
+    // We do not delete rooms on disconnect, because players often refresh.
+    // But we unbind socketId for any player that was on this socket, and start
+    // the empty-room grace period once nobody is left (see sweepRooms).
     for (const room of rooms.values()) {
-      if (room.hostSocketId === socket.id) room.hostSocketId = null;
+      let changed = false;
+      if (room.hostSocketId === socket.id) {
+        room.hostSocketId = null;
+        changed = true;
+      }
 
       for (const [cid, p] of room.players.entries()) {
         if (p.socketId === socket.id) {
           p.socketId = null;
+          p.connectedSince = null;
           room.players.set(cid, p);
+          changed = true;
         }
       }
+      for (const a of Object.values(room.audience || {})) {
+        if (a.socketId === socket.id) {
+          a.socketId = null;
+          changed = true;
+        }
+      }
+      if (!changed) continue;
+      rooms.save(room);
+
+      // Starts the host-absence clock if that was the host (see migrateHosts).
+      const wasPresent = !room.hostAwaySince;
+      updateHostPresence(room);
+      if (wasPresent && room.hostAwaySince) broadcastRoomState(room.roomCode);
+
+      if (!room.emptySince && isRoomEmpty(room)) room.emptySince = Date.now();
     }
   });
 });
 
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`SITE_ORIGIN = ${SITE_ORIGIN}`);
+// ============================
+// Boot / shutdown
+// ============================
+
+// Restored rooms have no live sockets; hosts and players re-bind through
+// host:attach / player:attach. Start the empty-room grace period now so rooms
+// nobody comes back to are still reaped.
+function restoreRooms(restored) {
+  for (const room of restored) {
+    room.emptySince = Date.now();
+    room.hostAwaySince = Date.now();
+
+    for (const game of games.values()) {
+      if (room.games?.[game.id] && game.restore) game.restore(room);
+    }
+  }
+}
+
+function storeSummary() {
+  if (rooms.kind === 'file') return ` (${ROOM_STORE_FILE}, ${rooms.size} rooms restored)`;
+  if (rooms.kind === 'shared') return ` (cluster ${rooms.cluster}, ${rooms.size} rooms shared)`;
+  return '';
+}
+
+function shutdown() {
+  Promise.resolve(rooms.flush()).finally(() => process.exit(0));
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+// Shared rooms are live on other instances; only snapshots need restoring.
+Promise.resolve(rooms.load()).then((loaded) => {
+  if (rooms.kind !== 'shared') restoreRooms(loaded);
+
+  server.listen(PORT, () => {
+    console.log(`Server running on port ${PORT} (instance ${INSTANCE_ID})`);
+    console.log(`SITE_ORIGIN = ${SITE_ORIGIN}`);
+    console.log(`ROOM_STORE = ${rooms.kind}${storeSummary()}`);
+    if (CLUSTERED) {
+      console.log('Clustered: the load balancer must use sticky sessions for Socket.IO (see /info)');
+      if (cluster.kind === 'local') console.log('CLUSTER_BACKEND=local only links instances inside this process');
+    }
+    if (sessions.ephemeral) {
+      console.log(
+        CLUSTERED
+          ? 'SESSION_SECRET not set: other instances will reject session tokens issued here'
+          : 'SESSION_SECRET not set: session tokens will not survive a restart'
+      );
+    }
+    console.log(`Admin API ${ADMIN_TOKEN ? 'enabled at /admin' : 'disabled (set ADMIN_TOKEN)'}`);
+  });
+}).catch((err) => {
+  console.error(`[roomStore] could not load rooms (${rooms.kind}):`, err.message);
+  process.exit(1);
 });
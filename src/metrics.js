@@ -0,0 +1,64 @@
+/*
+  Metrics
+  -------
+  Just enough of the Prometheus text format (0.0.4) for /metrics: labelled
+  counters that code increments, and gauges that are read at scrape time.
+*/
+
+'use strict';
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelText(labels) {
+  const parts = Object.entries(labels || {}).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function createMetrics() {
+  const metrics = []; // in registration order
+
+  return {
+    counter(name, help) {
+      const values = new Map(); // labelText -> number
+      metrics.push({
+        name,
+        help,
+        type: 'counter',
+        samples: () => Array.from(values, ([labels, value]) => ({ labels, value })),
+      });
+      return {
+        inc(labels = {}, n = 1) {
+          const key = labelText(labels);
+          values.set(key, (values.get(key) || 0) + n);
+        },
+      };
+    },
+
+    // collect() -> number | Array<{ labels, value }>
+    gauge(name, help, collect) {
+      metrics.push({
+        name,
+        help,
+        type: 'gauge',
+        samples: () => {
+          const v = collect();
+          if (typeof v === 'number') return [{ labels: '', value: v }];
+          return v.map((s) => ({ labels: labelText(s.labels), value: s.value }));
+        },
+      });
+    },
+
+    render() {
+      const lines = [];
+      for (const m of metrics) {
+        lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+        for (const s of m.samples()) lines.push(`${m.name}${s.labels} ${s.value}`);
+      }
+      return `${lines.join('\n')}\n`;
+    },
+  };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,205 @@
+/*
+  Request / response protocol
+  ---------------------------
+  Every client event takes an optional Socket.IO ack callback:
+
+    socket.emit('mafia:vote', { roomCode, targetId }, (res) => {
+      // res = { ok: true, data }                       (data is event-specific, often null)
+      //    or { ok: false, code: 'WRONG_PHASE', message: 'Human readable text', ...details }
+    });
+
+  Payloads are checked against the event's schema before the handler runs.
+  Pushes (room:state, hub:state, mafia:state, ...) are separate from acks and
+  carry a version; see State pushes in index.js.
+
+  The ack only answers the sender. Older error events (join:error, start:error,
+  ...) are still emitted next to the ack so existing pages keep working.
+
+  HTTP routes answer errors with the same { ok: false, code, message } body.
+
+  Error codes (ERRORS below is the source of truth for the message text):
+
+    General
+      INVALID_PAYLOAD     payload failed schema validation (field, reason in details)
+      UNKNOWN_ACTION      game has no such action
+      INTERNAL_ERROR      handler threw; logged server-side
+      NO_SESSION          socket has no session token yet (join or create a room first)
+      CLIENT_ID_OVERRIDE  payload named a clientId other than the session's
+      RATE_LIMITED        too many events (details: event, scope 'socket'|'ip', retryAfterMs);
+                          also pushed to the sender as a rate_limited event
+      PAYLOAD_TOO_LARGE   payload over MAX_PAYLOAD_BYTES (details: maxBytes)
+
+    Rooms / hub
+      ROOM_NOT_FOUND, NOT_HOST, NOT_IN_ROOM, NAME_REQUIRED, TOO_MANY_ROOMS (details: max),
+      BANNED, ROOM_LOCKED, ROOM_FULL (details: maxPlayers), PLAYER_NOT_FOUND, CANNOT_KICK_HOST,
+      UNKNOWN_GAME (details: games), NO_ACTIVE_GAME, DEV_MODE_REQUIRED,
+      ALREADY_PLAYER, AUDIENCE_FULL (details: max), AUDIENCE_ONLY,
+      UNKNOWN_BEHAVIOR (details: behaviors), NOT_A_BOT, IS_BOT, PLAYER_OFFLINE
+
+    Admin API
+      UNAUTHORIZED, MESSAGE_REQUIRED
+
+    Chat
+      UNKNOWN_CHANNEL (details: channels), CHAT_CLOSED, MUTED,
+      MESSAGE_TOO_LONG (details: maxLength), INVALID_CHAT_SETTINGS (EMPTY_MESSAGE as in Mafia)
+
+    Games (shared)
+      GAME_NOT_RUNNING, WRONG_PHASE, NEED_MIN_PLAYERS (details: minPlayers),
+      NO_FINISHED_GAME (report download)
+
+    Mafia
+      UNKNOWN_PRESET, NEED_MAFIA, TOO_MANY_ROLES, UNBALANCED, INVALID_ROLE_COUNTS,
+      INVALID_KILL_RULE, NOT_ALIVE, INVALID_TARGET, NO_NIGHT_ACTION, CANNOT_TARGET_SELF,
+      NOT_MAFIA, EMPTY_MESSAGE, NO_TIMER, UNKNOWN_ROLE, INVALID_VOTE_RULES, VOTE_LOCKED,
+      NO_LYNCH_DISABLED, NOT_A_CANDIDATE, INVALID_VARIANTS, ACTION_LOCKED, SAME_TARGET_TWICE,
+      AUDIENCE_VOTES_OFF
+
+    Trivia
+      UNKNOWN_PACK, UNKNOWN_CATEGORY, INVALID_DIFFICULTY, NO_QUESTIONS,
+      NOT_A_PLAYER, ALREADY_ANSWERED, INVALID_CHOICE
+*/
+
+'use strict';
+
+const ERRORS = {
+  INVALID_PAYLOAD: 'The request is malformed.',
+  UNKNOWN_ACTION: 'That action does not exist.',
+  INTERNAL_ERROR: 'Something went wrong on the server.',
+  NO_SESSION: 'Join or create a room first.',
+  CLIENT_ID_OVERRIDE: 'You can only act as yourself.',
+  RATE_LIMITED: 'Slow down a little.',
+  PAYLOAD_TOO_LARGE: 'The request is too large.',
+
+  ROOM_NOT_FOUND: 'Room not found.',
+  NOT_HOST: 'Only the host can do that.',
+  NOT_IN_ROOM: 'You are not in this room.',
+  NAME_REQUIRED: 'Please enter a name.',
+  TOO_MANY_ROOMS: 'You already have too many open rooms.',
+  BANNED: 'You were removed from this room.',
+  ROOM_LOCKED: 'This room is locked.',
+  ROOM_FULL: 'This room is full.',
+  PLAYER_NOT_FOUND: 'That player is not in the room.',
+  CANNOT_KICK_HOST: 'The host cannot be removed.',
+  UNKNOWN_GAME: 'Unknown game.',
+  NO_ACTIVE_GAME: 'No game is selected.',
+  DEV_MODE_REQUIRED: 'Dev mode is off.',
+  ALREADY_PLAYER: 'You are already playing in this room.',
+  AUDIENCE_FULL: 'The audience is full.',
+  AUDIENCE_ONLY: 'Only the audience can do that.',
+  UNKNOWN_BEHAVIOR: 'Unknown bot behavior.',
+  NOT_A_BOT: 'That player is not a bot.',
+  IS_BOT: 'A bot cannot do that.',
+  PLAYER_OFFLINE: 'That player is not connected.',
+
+  UNAUTHORIZED: 'Missing or wrong admin token.',
+  MESSAGE_REQUIRED: 'A message is required.',
+
+  UNKNOWN_CHANNEL: 'Unknown chat channel.',
+  CHAT_CLOSED: 'You cannot post there right now.',
+  MUTED: 'The host has muted you.',
+  MESSAGE_TOO_LONG: 'That message is too long.',
+  INVALID_CHAT_SETTINGS: 'Invalid chat settings.',
+
+  GAME_NOT_RUNNING: 'The game is not running.',
+  WRONG_PHASE: 'You cannot do that right now.',
+  NEED_MIN_PLAYERS: 'Not enough players.',
+  NO_FINISHED_GAME: 'No finished game to report on yet.',
+
+  UNKNOWN_PRESET: 'Unknown role preset.',
+  NEED_MAFIA: 'The setup needs at least one mafia member.',
+  TOO_MANY_ROLES: 'More roles than players.',
+  UNBALANCED: 'Too many mafia for this many players.',
+  INVALID_ROLE_COUNTS: 'Invalid role counts.',
+  INVALID_KILL_RULE: 'Kill rule must be plurality or majority.',
+  NOT_ALIVE: 'Dead players cannot do that.',
+  INVALID_TARGET: 'Pick a living player.',
+  NO_NIGHT_ACTION: 'Your role has no such night action.',
+  CANNOT_TARGET_SELF: 'You cannot pick yourself.',
+  NOT_MAFIA: 'Only the mafia can do that.',
+  EMPTY_MESSAGE: 'Message is empty.',
+  NO_TIMER: 'There is no timer to change.',
+  UNKNOWN_ROLE: 'Unknown role.',
+  INVALID_VOTE_RULES: 'Invalid vote rules.',
+  VOTE_LOCKED: 'Votes cannot be changed in this game.',
+  NO_LYNCH_DISABLED: 'Voting for no lynch is off in this game.',
+  NOT_A_CANDIDATE: 'Pick one of the runoff candidates.',
+  INVALID_VARIANTS: 'Invalid rule variants.',
+  ACTION_LOCKED: 'Your night action is already locked in.',
+  SAME_TARGET_TWICE: 'You cannot pick the same player two nights in a row.',
+  AUDIENCE_VOTES_OFF: 'Audience votes are off in this game.',
+
+  UNKNOWN_PACK: 'Unknown question pack.',
+  UNKNOWN_CATEGORY: 'Unknown category for this pack.',
+  INVALID_DIFFICULTY: 'Difficulty must be easy, medium or hard.',
+  NO_QUESTIONS: 'No questions match these settings.',
+  NOT_A_PLAYER: 'Only players can answer.',
+  ALREADY_ANSWERED: 'You already answered.',
+  INVALID_CHOICE: 'Pick one of the answers.',
+};
+
+// Failed result. Handlers return this; the dispatcher turns it into the ack.
+function fail(code, details = {}) {
+  return { ok: false, code, message: ERRORS[code] || code, ...details };
+}
+
+function isFailure(res) {
+  return !!res && res.ok === false;
+}
+
+/**
+ * Schemas are plain objects of field -> rule:
+ *   { type: 'string'|'number'|'integer'|'boolean'|'object'|'array'|'any',
+ *     required?: true, max?: number (string length / array length / number), min?: number,
+ *     nullable?: true }
+ * Unknown fields are allowed (clients send roomCode everywhere etc.).
+ * Returns null when the payload is fine, else a fail() result.
+ */
+function validate(schema, payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return fail('INVALID_PAYLOAD', { field: null, reason: 'payload must be an object' });
+  }
+
+  for (const [field, rule] of Object.entries(schema || {})) {
+    const v = payload[field];
+    const bad = (reason) => fail('INVALID_PAYLOAD', { field, reason });
+
+    if (v === undefined || (v === null && rule.nullable)) {
+      if (rule.required) return bad('required');
+      continue;
+    }
+
+    switch (rule.type) {
+      case 'string':
+        if (typeof v !== 'string') return bad('must be a string');
+        if (rule.max !== undefined && v.length > rule.max) return bad(`at most ${rule.max} characters`);
+        break;
+      case 'number':
+      case 'integer':
+        if (typeof v !== 'number' || !Number.isFinite(v)) return bad('must be a number');
+        if (rule.type === 'integer' && !Number.isInteger(v)) return bad('must be an integer');
+        if (rule.min !== undefined && v < rule.min) return bad(`at least ${rule.min}`);
+        if (rule.max !== undefined && v > rule.max) return bad(`at most ${rule.max}`);
+        break;
+      case 'boolean':
+        if (typeof v !== 'boolean') return bad('must be true or false');
+        break;
+      case 'object':
+        if (!v || typeof v !== 'object' || Array.isArray(v)) return bad('must be an object');
+        break;
+      case 'array':
+        if (!Array.isArray(v)) return bad('must be an array');
+        if (rule.max !== undefined && v.length > rule.max) return bad(`at most ${rule.max} entries`);
+        break;
+      default:
+        break;
+    }
+  }
+  return null;
+}
+
+// Field rules shared by most events.
+const fields = {
+  roomCode: { type: 'string', required: true, max: 12 },
+};
+
+module.exports = { ERRORS, fail, isFailure, validate, fields };
@@ -0,0 +1,107 @@
+/*
+  Rate limiting
+  -------------
+  Token buckets per (scope, key, rule). Each rule allows `count` events per
+  `seconds`, refilled continuously, separately per socket and per IP:
+
+    { 'host:createRoom': { socket: [2, 60], ip: [10, 60] }, ... }
+
+  Rules are looked up by exact event name, then '<ns>:*', then '*:<verb>',
+  then 'default'. A scope left out of a rule is not limited. RATE_LIMITS (JSON)
+  overrides or adds rules, e.g. {"mafia:vote":{"socket":[5,10]}}.
+
+  Only the events that get into a room are limited per IP: a whole party is
+  often one Wi-Fi, so in-room traffic (state pulls, votes, chat) is limited
+  per socket alone.
+*/
+
+'use strict';
+
+const DEFAULT_RATE_LIMITS = {
+  default: { socket: [20, 5] },
+  'host:createRoom': { socket: [2, 60], ip: [10, 60] },
+  'player:join': { socket: [5, 10], ip: [30, 10] },
+  'audience:join': { socket: [5, 10], ip: [30, 10] },
+  '*:getState': { socket: [10, 5] },
+  '*:teamChat': { socket: [5, 5] },
+  'chat:send': { socket: [5, 5] },
+};
+
+function parseRule(raw) {
+  if (!Array.isArray(raw) || raw.length !== 2) return null;
+  const [count, seconds] = raw.map(Number);
+  if (!(count > 0) || !(seconds > 0)) return null;
+  return { count, perMs: seconds * 1000 };
+}
+
+function createRateLimiter(overrides = {}) {
+  const rules = {};
+  for (const [name, scopes] of Object.entries({ ...DEFAULT_RATE_LIMITS, ...overrides })) {
+    rules[name] = {};
+    for (const scope of ['socket', 'ip']) {
+      const r = parseRule(scopes?.[scope]);
+      if (r) rules[name][scope] = r;
+    }
+  }
+
+  // `${scope}|${key}|${ruleName}` -> { tokens, at }
+  const buckets = new Map();
+
+  function ruleFor(event) {
+    const [ns, verb] = String(event).split(':');
+    for (const name of [event, `${ns}:*`, `*:${verb}`, 'default']) {
+      if (rules[name]) return { name, rule: rules[name] };
+    }
+    return { name: 'default', rule: {} };
+  }
+
+  // Take one token; returns 0 if allowed, else ms until the next token.
+  function take(id, { count, perMs }, now) {
+    const rate = count / perMs;
+    const b = buckets.get(id) || { tokens: count, at: now };
+    b.tokens = Math.min(count, b.tokens + (now - b.at) * rate);
+    b.at = now;
+    buckets.set(id, b);
+
+    if (b.tokens >= 1) {
+      b.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - b.tokens) / rate);
+  }
+
+  return {
+    /**
+     * Count one `event` from this socket / IP.
+     * Returns null if allowed, else { scope, retryAfterMs }.
+     */
+    hit(event, { socketId, ip }) {
+      const { name, rule } = ruleFor(event);
+      const now = Date.now();
+      for (const [scope, key] of [['socket', socketId], ['ip', ip]]) {
+        if (!rule[scope] || !key) continue;
+        const wait = take(`${scope}|${key}|${name}`, rule[scope], now);
+        if (wait) return { scope, retryAfterMs: wait };
+      }
+      return null;
+    },
+
+    // A socket went away; its buckets are no longer needed.
+    forgetSocket(socketId) {
+      const prefix = `socket|${socketId}|`;
+      for (const id of buckets.keys()) if (id.startsWith(prefix)) buckets.delete(id);
+    },
+
+    // Drop buckets that have refilled completely (they behave like new ones).
+    prune() {
+      const now = Date.now();
+      for (const [id, b] of buckets) {
+        const name = id.slice(id.lastIndexOf('|') + 1);
+        const rule = rules[name]?.[id.slice(0, id.indexOf('|'))];
+        if (!rule || b.tokens + (now - b.at) * (rule.count / rule.perMs) >= rule.count) buckets.delete(id);
+      }
+    },
+  };
+}
+
+module.exports = { DEFAULT_RATE_LIMITS, createRateLimiter };
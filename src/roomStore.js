@@ -0,0 +1,434 @@
+/*
+  Room stores
+  -----------
+  Socket handlers work on live room objects and mutate them in place, so every
+  store keeps rooms in a Map and exposes the same read API (get / has / set /
+  delete / keys / values / entries). What differs is what happens outside the
+  process:
+
+    memory : nothing; rooms are lost on restart (default)
+    file   : JSON snapshot on disk, written shortly after changes and read back on boot
+    shared : rooms shared by several instances through a cluster backend (cluster.js)
+
+  Callers must invoke store.save(room) after changing a room (index.js does this
+  from touchRoom) so backends that persist know there is something to write.
+
+  New rooms go through create(code, room) -> Promise<boolean>, which adds the
+  room only if the code is free; with the shared store no two instances can
+  claim the same code.
+
+  The shared store also has nextVersion(code, stream) -> Promise<number>: a
+  counter every instance draws from (push versions, see State pushes in index.js).
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Socket ids mean nothing after a restart.
+function unbound(audience) {
+  return Object.fromEntries(Object.entries(audience || {}).map(([cid, a]) => [cid, { ...a, socketId: null }]));
+}
+
+function serializeRoom(room) {
+  return {
+    ...room,
+    hostSocketId: null,
+    players: Array.from(room.players.values()).map((p) => ({ ...p, socketId: null })),
+    audience: unbound(room.audience),
+  };
+}
+
+function deserializeRoom(raw) {
+  const players = new Map();
+  for (const p of raw.players || []) {
+    if (p && p.clientId) players.set(p.clientId, { ...p, socketId: null });
+  }
+  return { ...raw, hostSocketId: null, players, audience: unbound(raw.audience) };
+}
+
+function createMemoryStore() {
+  const rooms = new Map();
+
+  return {
+    kind: 'memory',
+    get: (code) => rooms.get(code),
+    has: (code) => rooms.has(code),
+    set: (code, room) => {
+      rooms.set(code, room);
+    },
+    create: async (code, room) => {
+      if (rooms.has(code)) return false;
+      rooms.set(code, room);
+      return true;
+    },
+    delete: (code) => rooms.delete(code),
+    keys: () => rooms.keys(),
+    values: () => rooms.values(),
+    entries: () => rooms.entries(),
+    get size() {
+      return rooms.size;
+    },
+    save: () => {},
+    load: () => [],
+    flush: () => {},
+  };
+}
+
+/**
+ * Snapshot store: the whole room map is written to one JSON file. Writes are
+ * debounced (writeDelayMs) and go through a temp file + rename so a crash
+ * mid-write never leaves a truncated snapshot behind.
+ */
+function createFileStore({ file, writeDelayMs = 1000 }) {
+  const rooms = new Map();
+  let timer = null;
+
+  function writeNow() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+
+    const snapshot = {
+      savedAt: Date.now(),
+      rooms: Array.from(rooms.values()).map(serializeRoom),
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(snapshot));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      console.error(`[roomStore] failed to write ${file}:`, err.message);
+    }
+  }
+
+  function scheduleWrite() {
+    if (timer) return;
+    timer = setTimeout(writeNow, writeDelayMs);
+    timer.unref();
+  }
+
+  return {
+    kind: 'file',
+    get: (code) => rooms.get(code),
+    has: (code) => rooms.has(code),
+    set: (code, room) => {
+      rooms.set(code, room);
+      scheduleWrite();
+    },
+    create: async (code, room) => {
+      if (rooms.has(code)) return false;
+      rooms.set(code, room);
+      scheduleWrite();
+      return true;
+    },
+    delete: (code) => {
+      const existed = rooms.delete(code);
+      if (existed) scheduleWrite();
+      return existed;
+    },
+    keys: () => rooms.keys(),
+    values: () => rooms.values(),
+    entries: () => rooms.entries(),
+    get size() {
+      return rooms.size;
+    },
+    save: () => scheduleWrite(),
+
+    // Returns the restored rooms so the caller can re-arm anything that is not
+    // part of the snapshot (timers etc.).
+    load: () => {
+      let snapshot;
+      try {
+        snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (err) {
+        if (err.code !== 'ENOENT') console.error(`[roomStore] failed to read ${file}:`, err.message);
+        return [];
+      }
+
+      const restored = [];
+      for (const raw of snapshot?.rooms || []) {
+        if (!raw || !raw.roomCode) continue;
+        const room = deserializeRoom(raw);
+        rooms.set(room.roomCode, room);
+        restored.push(room);
+      }
+      return restored;
+    },
+
+    flush: () => writeNow(),
+  };
+}
+
+// ----- Shared store -----
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Lists both sides add to (logs, chat, bans, mutes), by path from the room.
+const APPEND_LISTS = [
+  /^hub\.history$/,
+  /^chat\.(messages\.[^.]+|muted)$/,
+  /^bans\.(clientIds|ips)$/,
+  /^games\.mafia\.(log|teamChat)$/,
+];
+
+// Entries both sides kept, then what either added; timestamped entries by `at`.
+function mergeList(base, ours, theirs) {
+  const keyOf = (v) => JSON.stringify(v);
+  const list = (v) => (Array.isArray(v) ? v : []);
+  const [b, o, t] = [base, ours, theirs].map((v) => new Set(list(v).map(keyOf)));
+  const kept = list(ours).filter((v) => !b.has(keyOf(v)) || t.has(keyOf(v)));
+  const added = list(theirs).filter((v) => !b.has(keyOf(v)) && !o.has(keyOf(v)));
+  const out = kept.concat(added);
+  if (out.every((v) => typeof v?.at === 'number')) out.sort((x, y) => x.at - y.at);
+  return out;
+}
+
+/**
+ * Three-way merge of JSON values: whatever only one side changed since `base`
+ * is kept; where both changed, objects are merged key by key and anything else
+ * goes to `ours`. Player lists merge per clientId and APPEND_LISTS keep what
+ * either side added. Undefined = removed.
+ */
+function mergeValue(base, ours, theirs, path = '') {
+  if (same(ours, base)) return theirs;
+  if (same(theirs, base) || same(ours, theirs)) return ours;
+
+  if (Array.isArray(ours) && Array.isArray(theirs) && APPEND_LISTS.some((re) => re.test(path))) {
+    return mergeList(base, ours, theirs);
+  }
+
+  if (path === 'players' && Array.isArray(ours) && Array.isArray(theirs)) {
+    const byId = (list) => new Map((Array.isArray(list) ? list : []).map((p) => [p.clientId, p]));
+    const [b, o, t] = [byId(base), byId(ours), byId(theirs)];
+    const ids = new Set([...t.keys(), ...o.keys()]);
+    return Array.from(ids, (id) => mergeValue(b.get(id), o.get(id), t.get(id), `players.${id}`)).filter(Boolean);
+  }
+
+  if (isPlainObject(ours) && isPlainObject(theirs)) {
+    const b = isPlainObject(base) ? base : {};
+    const out = {};
+    for (const k of new Set([...Object.keys(theirs), ...Object.keys(ours)])) {
+      const v = mergeValue(b[k], ours[k], theirs[k], path ? `${path}.${k}` : k);
+      if (v !== undefined) out[k] = v;
+    }
+    return out;
+  }
+  return ours;
+}
+
+// Shared copies keep socket ids: any instance may emit to any player.
+function shareRoom(room) {
+  return JSON.parse(JSON.stringify({ ...room, players: Array.from(room.players.values()) }));
+}
+
+// Swap the contents of a live room object for `data`, keeping its identity.
+function applyRoom(room, data) {
+  for (const k of Object.keys(room)) if (!(k in data)) delete room[k];
+  for (const [k, v] of Object.entries(data)) {
+    if (k !== 'players') room[k] = v;
+  }
+  room.players = new Map((data.players || []).map((p) => [p.clientId, p]));
+}
+
+/**
+ * Rooms shared by several instances. Each instance keeps a live copy of every
+ * room (so reads stay synchronous) and the cluster's table holds the truth:
+ *
+ *   - save(room) writes with compare-and-set on the room's version. If another
+ *     instance wrote first, its copy is merged in (mergeValue) and the write is
+ *     retried, so concurrent changes to different parts of a room all land.
+ *   - After a write the new version goes out on the bus and the other instances
+ *     update their copies in place.
+ *   - onMerge(room) runs after another instance's changes were folded into a
+ *     live copy, so the caller can push state the earlier pushes were missing.
+ *
+ * Writes to one room are queued on this instance; delete waits for them.
+ */
+function createSharedStore({ cluster, instanceId, onMerge = () => {} }) {
+  const rooms = new Map();
+  const synced = new Map(); // roomCode -> { version, data } as last seen in the table
+  const writes = new Map(); // roomCode -> { again, done }
+  const closed = new Map(); // roomCode -> deletedAt; late updates for these are ignored
+  const CHANNEL = 'rooms';
+  let unsubscribe = null;
+
+  function forget(code) {
+    rooms.delete(code);
+    synced.delete(code);
+    closed.set(code, Date.now());
+    for (const [c, at] of closed) if (Date.now() - at > 60 * 1000) closed.delete(c);
+  }
+
+  function publish(message) {
+    cluster.bus.publish(CHANNEL, { ...message, from: instanceId }).catch((err) => {
+      console.error('[roomStore] publish failed:', err.message);
+    });
+  }
+
+  // Fold a newer shared version into our live copy, keeping unsaved local changes.
+  function mergeRemote(room, entry) {
+    const base = synced.get(room.roomCode)?.data || {};
+    applyRoom(room, mergeValue(base, shareRoom(room), entry.room));
+    synced.set(room.roomCode, { version: entry.version, data: entry.room });
+    onMerge(room);
+  }
+
+  async function write(room) {
+    const code = room.roomCode;
+    for (let attempt = 0; attempt < 10; attempt++) {
+      if (rooms.get(code) !== room) return; // deleted meanwhile
+
+      const version = synced.get(code)?.version || 0;
+      const data = shareRoom(room);
+      if (await cluster.kv.cas(code, version, { version: version + 1, room: data })) {
+        synced.set(code, { version: version + 1, data });
+        publish({ code, version: version + 1, room: data });
+        return;
+      }
+
+      const current = await cluster.kv.get(code);
+      if (!current) {
+        // Closed by another instance.
+        forget(code);
+        return;
+      }
+      mergeRemote(room, current);
+    }
+    console.error(`[roomStore] ${code}: gave up saving after repeated conflicts`);
+  }
+
+  function save(room) {
+    const code = room?.roomCode;
+    if (!code || rooms.get(code) !== room) return Promise.resolve();
+
+    const pending = writes.get(code);
+    if (pending) {
+      pending.again = true;
+      return pending.done;
+    }
+
+    const w = { again: false };
+    w.done = (async () => {
+      do {
+        w.again = false;
+        await write(room);
+      } while (w.again);
+    })()
+      .catch((err) => console.error(`[roomStore] ${code}: save failed:`, err.message))
+      .finally(() => writes.delete(code));
+    writes.set(code, w);
+    return w.done;
+  }
+
+  function onMessage(msg) {
+    if (!msg || msg.from === instanceId || !msg.code) return;
+    const code = msg.code;
+
+    if (msg.deleted) {
+      forget(code);
+      return;
+    }
+    if (Date.now() - (closed.get(code) || 0) < 60 * 1000) return;
+    if ((synced.get(code)?.version || 0) >= msg.version) return;
+
+    const room = rooms.get(code);
+    if (!room) {
+      rooms.set(code, deserializeShared(msg.room));
+      synced.set(code, { version: msg.version, data: msg.room });
+    } else if (!writes.has(code)) {
+      mergeRemote(room, msg);
+    }
+    // With a write in flight its compare-and-set fails and merges instead.
+  }
+
+  return {
+    kind: 'shared',
+    cluster: cluster.kind,
+    get: (code) => rooms.get(code),
+    has: (code) => rooms.has(code),
+    set: (code, room) => {
+      rooms.set(code, room);
+      synced.delete(code);
+      closed.delete(code);
+      save(room);
+    },
+    // Written with compare-and-set from version 0, so it fails if any
+    // instance already holds the code.
+    create: async (code, room) => {
+      if (rooms.has(code)) return false;
+      const data = shareRoom(room);
+      if (!(await cluster.kv.cas(code, 0, { version: 1, room: data }))) return false;
+      rooms.set(code, room);
+      synced.set(code, { version: 1, data });
+      closed.delete(code);
+      publish({ code, version: 1, room: data });
+      return true;
+    },
+    delete: (code) => {
+      const existed = rooms.has(code);
+      forget(code);
+      if (existed) {
+        Promise.resolve(writes.get(code)?.done)
+          .then(() => cluster.kv.del(code))
+          .then(() => publish({ code, deleted: true }))
+          .catch((err) => console.error(`[roomStore] ${code}: delete failed:`, err.message));
+      }
+      return existed;
+    },
+    keys: () => rooms.keys(),
+    values: () => rooms.values(),
+    entries: () => rooms.entries(),
+    get size() {
+      return rooms.size;
+    },
+    save,
+    nextVersion: (code, stream) => cluster.kv.incr(code, stream),
+
+    // Copies every shared room and follows changes from here on. The rooms are
+    // live on other instances, so the caller should not treat them as restored.
+    load: async () => {
+      if (!unsubscribe) unsubscribe = cluster.bus.subscribe(CHANNEL, onMessage);
+      const loaded = [];
+      for (const entry of await cluster.kv.all()) {
+        const code = entry?.room?.roomCode;
+        if (!code || rooms.has(code)) continue;
+        const room = deserializeShared(entry.room);
+        rooms.set(code, room);
+        synced.set(code, { version: entry.version, data: entry.room });
+        loaded.push(room);
+      }
+      return loaded;
+    },
+
+    flush: () => Promise.all(Array.from(writes.values(), (w) => w.done)),
+  };
+}
+
+function deserializeShared(raw) {
+  const room = { roomCode: raw.roomCode, players: new Map() };
+  applyRoom(room, raw);
+  return room;
+}
+
+function createRoomStore({ kind, file, cluster, instanceId, onMerge }) {
+  const k = String(kind || 'memory').trim().toLowerCase();
+  if (k === 'memory') return createMemoryStore();
+  if (k === 'file') return createFileStore({ file });
+  if (k === 'shared') return createSharedStore({ cluster, instanceId, onMerge });
+  throw new Error(`Unknown ROOM_STORE "${kind}" (expected memory, file or shared)`);
+}
+
+module.exports = {
+  createRoomStore,
+  createMemoryStore,
+  createFileStore,
+  createSharedStore,
+  serializeRoom,
+  deserializeRoom,
+};
@@ -0,0 +1,82 @@
+/*
+  Session tokens
+  --------------
+  The server decides who a socket is. On host:createRoom / player:join it mints
+  a clientId (unless the socket already has one) and hands back a signed token:
+
+    base64url({"cid": clientId, "iat": issuedAtMs}) + "." + base64url(HMAC-SHA256)
+
+  Clients keep the token and send it as handshake auth ({ auth: { token } }) on
+  every reconnect. Nothing in an event payload can change who the sender is.
+
+  Tokens only outlive the process if the key does: SESSION_SECRET, or with
+  ROOM_STORE=file a key generated once and kept next to the snapshot
+  (loadKeyFile), so restored rooms can still be re-attached.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+function createSessions({ secret, ttlMs }) {
+  const key = secret || crypto.randomBytes(32).toString('hex');
+
+  function sign(body) {
+    return b64url(crypto.createHmac('sha256', key).update(body).digest());
+  }
+
+  return {
+    // True when no SESSION_SECRET was configured (tokens die with the process).
+    ephemeral: !secret,
+
+    newClientId: () => crypto.randomUUID(),
+
+    issue(clientId) {
+      const body = b64url(JSON.stringify({ cid: clientId, iat: Date.now() }));
+      return `${body}.${sign(body)}`;
+    },
+
+    // Returns the clientId the token was issued to, or null if it is forged / expired.
+    verify(token) {
+      const [body, sig] = String(token || '').split('.');
+      if (!body || !sig) return null;
+
+      const expected = Buffer.from(sign(body));
+      const given = Buffer.from(sig);
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+      let payload;
+      try {
+        payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+      } catch {
+        return null;
+      }
+      if (!payload || typeof payload.cid !== 'string' || !payload.cid) return null;
+      if (ttlMs && Date.now() - Number(payload.iat || 0) > ttlMs) return null;
+      return payload.cid;
+    },
+  };
+}
+
+// The key stored in `file`, created (owner-readable only) on first use.
+function loadKeyFile(file) {
+  try {
+    const key = fs.readFileSync(file, 'utf8').trim();
+    if (key) return key;
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  const key = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, key, { mode: 0o600 });
+  return key;
+}
+
+module.exports = { createSessions, loadKeyFile };